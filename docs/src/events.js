@@ -12,6 +12,14 @@
  * will be limited or unavailable if it's not a `Set` or `Array`.
  */
 
+/**
+ * Get the parent of a target object.
+ * @callback module:@lumjs/events~GetParent
+ * @this module:@lumjs/events.Registry
+ * @param {object} target - A target object (or one of its ancestors).
+ * @returns {?object} The parent object, or `null` if it has no parent.
+ */
+
 /**
  * The specified handler used by an event Listener.
  * @typedef {(module:@lumjs/events~HandlerFn|module:@lumjs/events~HandlerObj)} module:@lumjs/events~Handler
@@ -63,3 +71,56 @@
  * @param {module:@lumjs/events.Listener}
  * @returns {void}
  */
+
+/**
+ * Information about an error thrown by an event handler.
+ * @typedef {object} module:@lumjs/events~ErrorInfo
+ * @prop {*} error - The value thrown (or rejected) by the handler.
+ * @prop {module:@lumjs/events.Event} event - The event being handled.
+ * @prop {module:@lumjs/events.Listener} listener - The event listener.
+ * @prop {object} target - The target object.
+ * @prop {(string|symbol)} type - The event type.
+ */
+
+/**
+ * Callback for errors caught from event handlers.
+ * @callback module:@lumjs/events~OnError
+ * @this module:@lumjs/events.Registry
+ * @param {module:@lumjs/events~ErrorInfo} info - The error info.
+ * @param {module:@lumjs/events.Status} status - The emit status.
+ * @returns {void}
+ */
+
+/**
+ * The default action for an event type.
+ * @callback module:@lumjs/events~DefaultAction
+ * @this module:@lumjs/events.Registry
+ * @param {object} target - The target object.
+ * @param {module:@lumjs/events.Status} status - The emit status.
+ * @param {(string|symbol)} type - The event type.
+ * @returns {*} If using `emitAsync()` this may be a Promise.
+ */
+
+/**
+ * Clock and timer functions.
+ * @typedef {object} module:@lumjs/events~Timers
+ * @prop {function} [now] Returns the current time in milliseconds;
+ * default uses `Date.now()`.
+ * @prop {function} [setTimeout] Passed a function and a delay in
+ * milliseconds, and returns a timer id; default uses `setTimeout()`.
+ * @prop {function} [clearTimeout] Passed a timer id to cancel;
+ * default uses `clearTimeout()`.
+ */
+
+/**
+ * A middleware function; see {@link module:@lumjs/events.Registry#use}.
+ * @callback module:@lumjs/events~Middleware
+ * @this {module:@lumjs/events.Registry}
+ * @param {module:@lumjs/events.Status} status - The emit status.
+ * @param {function} next - Call this to continue the emit process;
+ * if it's never called, the emit is canceled. When using `emitAsync()`
+ * it returns a Promise.
+ * @param {?module:@lumjs/events.Listener} listener - The new Listener
+ * if this is a stateful replay from `add()`; otherwise `null`.
+ * @returns {*} Ignored, but may be a Promise when using `emitAsync()`.
+ */
@@ -0,0 +1,298 @@
+"use strict";
+
+const {F,isObj} = require('@lumjs/core/types');
+
+// External objects currently having events forwarded to them,
+// and the registries doing the forwarding.
+const forwarding = new WeakMap();
+
+// Is a registry forwarding an event to an external object right now?
+function isEcho(registry, external)
+{
+  return forwarding.get(external)?.has(registry) ?? false;
+}
+
+/**
+ * Is something a DOM-style `EventTarget` object?
+ * @param {*} obj - Value to test
+ * @returns {boolean}
+ * @alias module:@lumjs/events.adapters.isEventTarget
+ */
+function isEventTarget(obj)
+{
+  return (isObj(obj)
+    && typeof obj.addEventListener === F
+    && typeof obj.removeEventListener === F
+    && typeof obj.dispatchEvent === F);
+}
+
+/**
+ * Is something a Node-style `EventEmitter` object?
+ * @param {*} obj - Value to test
+ * @returns {boolean}
+ * @alias module:@lumjs/events.adapters.isEmitter
+ */
+function isEmitter(obj)
+{
+  return (isObj(obj)
+    && typeof obj.on === F
+    && typeof obj.emit === F
+    && (typeof obj.off === F || typeof obj.removeListener === F));
+}
+
+// Build a handle object for a bridge.
+function makeHandle(detachers)
+{
+  const handle =
+  {
+    attached: true,
+    detach()
+    {
+      if (!handle.attached) return;
+      handle.attached = false;
+      for (const detach of detachers)
+      {
+        detach();
+      }
+    },
+  }
+  return handle;
+}
+
+// Build an emit spec for a forwarded event.
+function emitSpec(type, source, sourceEvent, opts)
+{
+  return Object.assign({}, opts.emit, {eventTypes: type, source, sourceEvent});
+}
+
+/**
+ * Forward events from a DOM `EventTarget` into a Registry.
+ * 
+ * The forwarded events are emitted with a single argument:
+ * if the DOM event has a `detail` property (e.g. a `CustomEvent`)
+ * that is not `null` or `undefined`, it will be the argument;
+ * otherwise the DOM event itself will be.
+ * 
+ * The `source` and `sourceEvent` emit options will be set to
+ * the `EventTarget` and the DOM event respectively, so they'll
+ * be available as `event.options.source` and `event.options.sourceEvent`.
+ * 
+ * @param {module:@lumjs/events.Registry} registry - Registry to emit in.
+ * @param {EventTarget} source - Object to listen for events on.
+ * @param {(string|Iterable)} types - Event types to forward;
+ * see {@link module:@lumjs/events.Registry#getEventTypes} for details.
+ * @param {object} [opts] Options
+ * @param {object} [opts.emit] Extra emit options (e.g. `target`) to use
+ * when emitting the forwarded events.
+ * @param {object} [opts.eventOptions] Options for `source.addEventListener()`.
+ * @returns {module:@lumjs/events.adapters~Handle}
+ * @alias module:@lumjs/events.adapters.fromEventTarget
+ */
+function fromEventTarget(registry, source, types, opts={})
+{
+  const detachers = [];
+
+  for (const type of registry.getEventTypes(types))
+  {
+    const handler = function(ev)
+    {
+      if (isEcho(registry, source)) return; // Don't echo our own events.
+      const arg = (ev.detail === undefined || ev.detail === null)
+        ? ev
+        : ev.detail;
+      registry.emit(emitSpec(type, source, ev, opts), arg);
+    }
+
+    source.addEventListener(type, handler, opts.eventOptions);
+    detachers.push(
+      () => source.removeEventListener(type, handler, opts.eventOptions));
+  }
+
+  return makeHandle(detachers);
+}
+
+/**
+ * Forward events from a Node `EventEmitter` into a Registry.
+ * 
+ * The arguments passed to `emitter.emit()` will be used as the
+ * arguments for the Registry `emit()` call, so they'll be in
+ * `event.args` and if the first one is an object, `event.data`.
+ * 
+ * The `source` emit option will be set to the `EventEmitter`.
+ * 
+ * @param {module:@lumjs/events.Registry} registry - Registry to emit in.
+ * @param {EventEmitter} source - Object to listen for events on.
+ * @param {(string|symbol|Iterable)} types - Event types to forward;
+ * see {@link module:@lumjs/events.Registry#getEventTypes} for details.
+ * @param {object} [opts] Options
+ * @param {object} [opts.emit] Extra emit options (e.g. `target`) to use
+ * when emitting the forwarded events.
+ * @returns {module:@lumjs/events.adapters~Handle}
+ * @alias module:@lumjs/events.adapters.fromEmitter
+ */
+function fromEmitter(registry, source, types, opts={})
+{
+  const detachers = [];
+  const off = (typeof source.off === F) ? 'off' : 'removeListener';
+
+  for (const type of registry.getEventTypes(types))
+  {
+    const handler = function(...args)
+    {
+      if (isEcho(registry, source)) return; // Don't echo our own events.
+      registry.emit(emitSpec(type, source, null, opts), ...args);
+    }
+
+    source.on(type, handler);
+    detachers.push(() => source[off](type, handler));
+  }
+
+  return makeHandle(detachers);
+}
+
+// Forward events from a Registry using a callback.
+function forwardTo(registry, dest, types, opts, forward)
+{
+  const listener = registry.listen(types, function(event)
+  {
+    if (event.options.source === dest) return; // It came from there.
+    let regs = forwarding.get(dest);
+    if (!regs) forwarding.set(dest, regs = new Set());
+    regs.add(registry);
+    try
+    {
+      forward(event);
+    }
+    finally
+    {
+      regs.delete(registry);
+    }
+  }, opts.listen);
+
+  return makeHandle([() => registry.removeListeners(listener)]);
+}
+
+/**
+ * Forward events from a Registry to a DOM `EventTarget`.
+ * 
+ * By default each event will be dispatched as a `CustomEvent` with
+ * `event.name` as its type; the `detail` will be `event.args[0]` if
+ * there's only one argument, or the entire `event.args` array otherwise.
+ * 
+ * Events that were forwarded from `dest` in the first place are skipped,
+ * so it's safe to bridge the same event types in both directions.
+ * 
+ * @param {module:@lumjs/events.Registry} registry - Registry to listen to.
+ * @param {EventTarget} dest - Object to dispatch events on.
+ * @param {(string|symbol|RegExp|Iterable)} types - Event types to forward;
+ * see {@link module:@lumjs/events.Registry#makeListener} for details.
+ * @param {object} [opts] Options
+ * @param {function} [opts.makeEvent] Create the DOM event to dispatch;
+ * passed the Registry Event, and must return a DOM Event object.
+ * @param {object} [opts.listen] Listener options for `registry.listen()`.
+ * @returns {module:@lumjs/events.adapters~Handle}
+ * @alias module:@lumjs/events.adapters.toEventTarget
+ */
+function toEventTarget(registry, dest, types, opts={})
+{
+  const makeEvent = (typeof opts.makeEvent === F)
+    ? opts.makeEvent
+    : event => new CustomEvent(event.name,
+      {
+        detail: (event.args.length > 1) ? event.args : event.args[0],
+      });
+  return forwardTo(registry, dest, types, opts,
+    event => dest.dispatchEvent(makeEvent(event)));
+}
+
+/**
+ * Forward events from a Registry to a Node `EventEmitter`.
+ * 
+ * Each event will be emitted using `event.type` (which may be a Symbol),
+ * with `event.args` as the arguments.
+ * 
+ * Events that were forwarded from `dest` in the first place are skipped,
+ * so it's safe to bridge the same event types in both directions.
+ * 
+ * @param {module:@lumjs/events.Registry} registry - Registry to listen to.
+ * @param {EventEmitter} dest - Object to emit events on.
+ * @param {(string|symbol|RegExp|Iterable)} types - Event types to forward;
+ * see {@link module:@lumjs/events.Registry#makeListener} for details.
+ * @param {object} [opts] Options
+ * @param {object} [opts.listen] Listener options for `registry.listen()`.
+ * @returns {module:@lumjs/events.adapters~Handle}
+ * @alias module:@lumjs/events.adapters.toEmitter
+ */
+function toEmitter(registry, dest, types, opts={})
+{
+  return forwardTo(registry, dest, types, opts,
+    event => dest.emit(event.type, ...event.args));
+}
+
+/**
+ * Bridge events between a Registry and an external event object.
+ * 
+ * Works with either a DOM `EventTarget` or a Node `EventEmitter`,
+ * using the other adapter functions depending on which it is.
+ * 
+ * @param {module:@lumjs/events.Registry} registry - Registry instance.
+ * @param {(EventTarget|EventEmitter)} external - External event object.
+ * @param {object} opts - Options; also passed to the adapter functions.
+ * @param {(string|symbol|Iterable)} [opts.from] Event types to forward
+ * from `external` into `registry`.
+ * @param {(string|symbol|RegExp|Iterable)} [opts.to] Event types to
+ * forward from `registry` to `external`.
+ * @returns {module:@lumjs/events.adapters~Handle} A single handle that
+ * will detach both directions.
+ * @throws {TypeError} If `external` is not a supported object.
+ * @alias module:@lumjs/events.adapters.bridge
+ */
+function bridge(registry, external, opts)
+{
+  let from, to;
+  if (isEventTarget(external))
+  {
+    [from, to] = [fromEventTarget, toEventTarget];
+  }
+  else if (isEmitter(external))
+  {
+    [from, to] = [fromEmitter, toEmitter];
+  }
+  else
+  {
+    console.error({external, registry});
+    throw new TypeError("Not an EventTarget or EventEmitter");
+  }
+
+  const handles = [];
+  if (opts.from !== undefined)
+  {
+    handles.push(from(registry, external, opts.from, opts));
+  }
+  if (opts.to !== undefined)
+  {
+    handles.push(to(registry, external, opts.to, opts));
+  }
+
+  return makeHandle(handles.map(h => () => h.detach()));
+}
+
+/**
+ * Adapters to bridge DOM `EventTarget` and Node `EventEmitter`
+ * objects with a Registry.
+ * 
+ * @namespace module:@lumjs/events.adapters
+ */
+module.exports =
+{
+  isEventTarget, isEmitter, bridge,
+  fromEventTarget, fromEmitter, toEventTarget, toEmitter,
+}
+
+/**
+ * A handle returned by the adapter functions.
+ * @typedef {object} module:@lumjs/events.adapters~Handle
+ * @prop {boolean} attached - Will be `false` once `detach()` is called.
+ * @prop {function} detach - Remove every underlying listener that was
+ * added by the adapter function.
+ */
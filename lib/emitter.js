@@ -0,0 +1,328 @@
+"use strict";
+
+const {F,N} = require('@lumjs/core/types');
+const Registry = require('./registry');
+
+const DEF_MAX = 10;
+
+const REG_OPTIONS =
+{
+  extend:    {targets: false, listeners: false, results: false},
+  namespace: null,
+  patterns:  false,
+  wildcard:  null,
+}
+
+// Make sure a listener is a function, like Node does.
+function needFn(listener)
+{
+  if (typeof listener !== F)
+  {
+    throw new TypeError("The listener argument must be of type function");
+  }
+}
+
+/**
+ * A Node `EventEmitter` compatible facade backed by a Registry.
+ * 
+ * Handlers are passed the raw arguments from `emit()` rather than an
+ * Event object, and `this` will be the Emitter instance; so this can be
+ * handed to any code that expects a regular `EventEmitter`.
+ * 
+ * Event type strings are used exactly as given: there is no splitting
+ * into multiple types, no namespaces, no patterns, and no wildcard.
+ * 
+ * Like `EventEmitter`, a `'newListener'` event is emitted before each
+ * listener is added, and a `'removeListener'` event after each one is
+ * removed; and emitting an `'error'` event with no listeners for it
+ * will throw the error.
+ * 
+ * @prop {module:@lumjs/events.Registry} registry - The backing Registry.
+ * 
+ * @alias module:@lumjs/events.Emitter
+ */
+class LumEventEmitter
+{
+  /**
+   * Create a new Emitter.
+   * 
+   * @param {object} [opts] Options for the backing Registry.
+   * 
+   * A few options will always be overridden to keep `EventEmitter`
+   * semantics: `extend`, `namespace`, `patterns`, and `wildcard`.
+   */
+  constructor(opts={})
+  {
+    this.registry = new Registry([this], Object.assign({}, opts, REG_OPTIONS));
+    this.maxListeners = DEF_MAX;
+    this.prepended = 0;
+    this.warned = new Set();
+  }
+
+  /**
+   * Add a listener function.
+   * 
+   * This is the internal implementation used by the other methods.
+   * @protected
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @param {boolean} once - Remove the listener the first time it's called?
+   * @param {boolean} prepend - Add it to the start of the list instead?
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  addHandler(type, fn, once=false, prepend=false)
+  {
+    needFn(fn);
+    const emitter = this;
+    const reg = this.registry;
+
+    this.emit('newListener', type, fn);
+
+    const handler = function(event)
+    {
+      if (once)
+      { // Remove it before calling it, like EventEmitter does.
+        reg.removeListeners(listener);
+        emitter.emit('removeListener', type, fn);
+      }
+      return fn.apply(emitter, event.status.args);
+    }
+
+    const priority = prepend ? ++this.prepended : 0;
+    const listener = reg.listen([type], handler, {fn, priority});
+
+    const count = this.listenerCount(type);
+    if (this.maxListeners > 0 && count > this.maxListeners
+      && !this.warned.has(type))
+    {
+      this.warned.add(type);
+      console.warn("Possible EventEmitter memory leak detected.",
+        `${count} ${String(type)} listeners added.`,
+        "Use emitter.setMaxListeners() to increase limit");
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a listener to the end of the list for an event type.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  addListener(type, fn)
+  {
+    return this.addHandler(type, fn);
+  }
+
+  /**
+   * Alias of `addListener()`.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  on(type, fn)
+  {
+    return this.addHandler(type, fn);
+  }
+
+  /**
+   * Add a listener that will be removed the first time it's called.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  once(type, fn)
+  {
+    return this.addHandler(type, fn, true);
+  }
+
+  /**
+   * Add a listener to the start of the list for an event type.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  prependListener(type, fn)
+  {
+    return this.addHandler(type, fn, false, true);
+  }
+
+  /**
+   * Add a listener to the start of the list, that will be removed
+   * the first time it's called.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  prependOnceListener(type, fn)
+  {
+    return this.addHandler(type, fn, true, true);
+  }
+
+  /**
+   * Remove the most recently added instance of a listener.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  removeListener(type, fn)
+  {
+    needFn(fn);
+    const found = this.registry.getListeners(type).slice().reverse()
+      .find(lsnr => lsnr.options.fn === fn);
+
+    if (found)
+    {
+      this.registry.removeListeners(found);
+      this.emit('removeListener', type, fn);
+    }
+
+    return this;
+  }
+
+  /**
+   * Alias of `removeListener()`.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} fn - Listener function.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  off(type, fn)
+  {
+    return this.removeListener(type, fn);
+  }
+
+  /**
+   * Remove all listeners, or all listeners for an event type.
+   * @param {(string|symbol)} [type] Event type;
+   * if omitted, all listeners for all event types will be removed.
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  removeAllListeners(type)
+  {
+    const types = (type === undefined) ? this.eventNames() : [type];
+
+    for (const et of types)
+    {
+      if (et === 'removeListener' && type === undefined) continue;
+      for (const lsnr of this.registry.getListeners(et).slice().reverse())
+      {
+        this.registry.removeListeners(lsnr);
+        this.emit('removeListener', et, lsnr.options.fn);
+      }
+    }
+
+    if (type === undefined)
+    { // Now remove the 'removeListener' listeners.
+      this.registry.removeAll();
+    }
+
+    return this;
+  }
+
+  /**
+   * Call the listeners for an event type with the supplied arguments.
+   * @param {(string|symbol)} type - Event type.
+   * @param {...*} args - Arguments for the listeners.
+   * @returns {boolean} If there were any listeners for the event type.
+   * If called inside a `registry.batch()` function, the emit is queued,
+   * so this is if there are listeners for it right now.
+   * @throws {*} If `type` is `'error'` and there are no listeners for it;
+   * throws `args[0]` if it's an Error, or a new Error otherwise.
+   */
+  emit(type, ...args)
+  {
+    if (type === 'error' && this.listenerCount(type) === 0)
+    {
+      const err = args[0];
+      if (err instanceof Error) throw err;
+      const msg = `Unhandled error. (${String(err)})`;
+      throw Object.assign(new Error(msg), {context: err});
+    }
+
+    const status = this.registry.emit({eventTypes: [type]}, ...args);
+    if (status === null)
+    { // Queued by batch(), so we can't know who will be called yet.
+      return this.listenerCount(type) > 0;
+    }
+    return status.emitted.length > 0;
+  }
+
+  /**
+   * Get the number of listeners for an event type.
+   * @param {(string|symbol)} type - Event type.
+   * @param {function} [fn] If specified, only count this listener function.
+   * @returns {number}
+   */
+  listenerCount(type, fn)
+  {
+    const listeners = this.registry.getListeners(type);
+    return (typeof fn === F)
+      ? listeners.filter(lsnr => lsnr.options.fn === fn).length
+      : listeners.length;
+  }
+
+  /**
+   * Get a copy of the listener functions for an event type.
+   * @param {(string|symbol)} type - Event type.
+   * @returns {function[]}
+   */
+  listeners(type)
+  {
+    return this.registry.getListeners(type).map(lsnr => lsnr.options.fn);
+  }
+
+  /**
+   * Alias of `listeners()`; there are no wrapper functions to return.
+   * @param {(string|symbol)} type - Event type.
+   * @returns {function[]}
+   */
+  rawListeners(type)
+  {
+    return this.listeners(type);
+  }
+
+  /**
+   * Get the event types that have listeners.
+   * @returns {Array.<(string|symbol)>}
+   */
+  eventNames()
+  {
+    const names = [];
+    for (const [type, lset] of this.registry.listenersFor)
+    {
+      if (lset.size > 0)
+      {
+        names.push(type);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Set the max number of listeners per event type before a warning
+   * is shown; use `0` (or `Infinity`) for no limit.
+   * @param {number} n
+   * @returns {module:@lumjs/events.Emitter} `this`
+   */
+  setMaxListeners(n)
+  {
+    if (typeof n !== N || n < 0 || Number.isNaN(n))
+    {
+      throw new RangeError("The value of 'n' must be a non-negative number");
+    }
+    this.maxListeners = n;
+    return this;
+  }
+
+  /**
+   * Get the max number of listeners per event type.
+   * @returns {number}
+   */
+  getMaxListeners()
+  {
+    return this.maxListeners;
+  }
+}
+
+module.exports = LumEventEmitter;
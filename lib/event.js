@@ -1,6 +1,8 @@
 "use strict";
 
 const {SY,F,isObj} = require('@lumjs/core/types');
+const {jsonSafe, typeToJSON} = require('./serialize');
+const cp = Object.assign;
 
 /**
  * An Event object to emit to handler callbacks.
@@ -14,6 +16,14 @@ const {SY,F,isObj} = require('@lumjs/core/types');
  * In the unlikely scenario the symbol has no description,
  * a special value of "‽" will be used. Just name your damn symbols!
  * @prop {object} target - Target object for this event.
+ * @prop {object} currentTarget - The object the event is currently at.
+ * 
+ * Unless the Registry has a `getParent` option, this will always be
+ * the same as `target`. Otherwise it may be one of the ancestors.
+ * 
+ * @prop {number} eventPhase - The phase of the event propagation;
+ * one of the `CAPTURING_PHASE`, `AT_TARGET`, or `BUBBLING_PHASE`
+ * static properties of this class.
  * @prop {Array} args - Usually a shallow copy of `status.args`;
  * see `prevEvent` for possible exceptions.
  * @prop {object} options - Composes options from the
@@ -36,7 +46,26 @@ const {SY,F,isObj} = require('@lumjs/core/types');
  * - If `args.length` is `0` after removing `prevData`,
  *   sets `this.args` to `prevData.args`.
  * 
+ * In a waterfall emit (see {@link module:@lumjs/events.Registry#waterfall})
+ * this is the event from the previous handler in the pipeline (or `null`
+ * for the first one), and `data` and `args[0]` will be the current value,
+ * which may be any type, not just an `object`.
+ * 
+ * @prop {boolean} cancelable - Can the default action be prevented?
+ * 
+ * Will be `true` if the `cancelable` property of the TypeData is `true`
+ * (or the `cancelable` emit option overrides it).
+ * See {@link module:@lumjs/events.Event#preventDefault}.
+ * 
+ * @prop {boolean} defaultPrevented - Has the default action been
+ * prevented for this event type and target? (read-only)
+ * 
  * @prop {module:@lumjs/events.Status} status - Emit Status object.
+ * @prop {*} returnValue - The value returned by the handler.
+ * 
+ * When using `registry.emitAsync()` this will be replaced by the
+ * resolved value once the handler's return value has been awaited.
+ * 
  * @prop {module:@lumjs/events.Status} emitStatus - Alias of `status`;
  * this is the old name will likely be removed in v2.x.
  * 
@@ -65,6 +94,8 @@ class LumEvent
     let args = this.args = status.args.slice(0); // A shallow copy.
     this.eventListener = listener;
     this.target = target;
+    this.currentTarget = status.currentTarget ?? target;
+    this.eventPhase = status.eventPhase ?? LumEvent.AT_TARGET;
     this.type = type;
     this.name = (typeof type === SY) ? (type.description ?? '‽') : type;
     this.status = this.emitStatus = status;
@@ -73,12 +104,23 @@ class LumEvent
       etd?.options,
       listener.options,
       status.options);
+    this.cancelable = status.options.cancelable ?? etd?.cancelable ?? false;
 
     this.data = null;
     this.prevEvent = null;
     this.origEvent = this;
 
-    if (isObj(args[0]))
+    if (status.options.waterfall)
+    { // Chain from the previous event in the pipeline.
+      const prev = status.emitted[status.emitted.length - 1];
+      if (prev)
+      {
+        this.prevEvent = prev;
+        this.origEvent = prev.origEvent;
+      }
+      this.data = args[0] = status.result;
+    }
+    else if (isObj(args[0]))
     { // The first argument is an object.
       const ao = args[0];
       if (ao instanceof LumEvent)
@@ -104,6 +146,125 @@ class LumEvent
     }
 
   }
+
+  get defaultPrevented()
+  {
+    return this.status.isPrevented(this.type, this.target);
+  }
+
+  /**
+   * Prevent the default action for this event type and target.
+   * 
+   * Does nothing if the event isn't `cancelable`.
+   * See {@link module:@lumjs/events.Registry#set} for details on
+   * setting the default action for an event type.
+   * 
+   * @returns {void}
+   */
+  preventDefault()
+  {
+    if (this.cancelable)
+    {
+      this.status.prevent(this.type, this.target);
+    }
+  }
+
+  /**
+   * Stop propagating this event to other objects.
+   * 
+   * Any remaining listeners for the `currentTarget` will still be called,
+   * but the event won't be propagated to any more ancestors.
+   * Only applicable if the Registry has a `getParent` option.
+   * 
+   * @returns {void}
+   */
+  stopPropagation()
+  {
+    this.status.process.donePropagation = true;
+  }
+
+  /**
+   * Stop calling listeners for this event type and target.
+   * 
+   * No more listeners for this event type will be called for the
+   * current target, at the `currentTarget` or any other object in the
+   * propagation path. Other event types will not be affected.
+   * 
+   * @returns {void}
+   */
+  stopImmediatePropagation()
+  {
+    this.status.process.doneType = true;
+  }
+
+  /**
+   * Stop calling listeners for this target.
+   * 
+   * No more listeners for any event type will be called for the
+   * current target; emit() will move on to the next target.
+   * 
+   * @returns {void}
+   */
+  stopTargetPropagation()
+  {
+    this.status.process.doneTarget = true;
+  }
+
+  /**
+   * Stop calling listeners altogether.
+   * 
+   * No more listeners will be called for any event type or target.
+   * Default actions will still be called unless they were prevented.
+   * 
+   * @returns {void}
+   */
+  stopEmitting()
+  {
+    this.status.process.doneEmitting = true;
+  }
+
+  /**
+   * Get a JSON representation of this event.
+   * 
+   * The `status` and `prevEvent` properties are skipped, and the
+   * `eventListener` is replaced with a summary of the listener.
+   * Circular references in the values are replaced with `'[Circular]'`.
+   * See {@link module:@lumjs/events.serialize.jsonSafe} for details.
+   * 
+   * @param {Set} [parents] Used internally by `jsonSafe()`.
+   * @returns {object}
+   */
+  toJSON(parents)
+  {
+    if (!(parents instanceof Set))
+    { // Called by JSON.stringify(), so start with this as a parent.
+      return jsonSafe(this);
+    }
+
+    return jsonSafe(
+    {
+      type: typeToJSON(this.type),
+      name: this.name,
+      args: this.args,
+      data: this.data,
+      target: this.target,
+      currentTarget: (this.currentTarget === this.target) 
+        ? undefined 
+        : this.currentTarget,
+      eventPhase: this.eventPhase,
+      cancelable: this.cancelable,
+      returnValue: this.returnValue,
+      listener: this.eventListener,
+    }, parents);
+  }
 }
 
+cp(LumEvent,
+{
+  NONE: 0,
+  CAPTURING_PHASE: 1,
+  AT_TARGET: 2,
+  BUBBLING_PHASE: 3,
+});
+
 module.exports = LumEvent;
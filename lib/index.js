@@ -20,6 +20,17 @@ exports = module.exports =
   Event: require('./event'),
   Status: require('./status'),
   TypeData: require('./typedata'),
+  Stream: require('./stream'),
+  Emitter: require('./emitter'),
+  Modifiers: require('./modifiers'),
+  Tracer: require('./tracer'),
+  Recorder: require('./recorder'),
+  Transport: require('./transport'),
+  pattern: require('./pattern'),
+  reducers: require('./reducers'),
+  schema: require('./schema'),
+  serialize: require('./serialize'),
+  adapters: require('./adapters'),
 
   /**
    * A shortcut function to create a new Registry instance.
@@ -2,9 +2,15 @@
 
 const {F,isObj} = require('@lumjs/core/types');
 const Event = require('./event');
+const Modifiers = require('./modifiers');
 const Internal = require('./internal');
+const {typeToJSON} = require('./serialize');
 
-const RES_PROPS   = ['handler','eventNames','eventTypes','options'];
+const RES_PROPS   = 
+[
+  'calls','cleanup','expired','handler','eventNames','eventTypes',
+  'modifiers','namespaces','options','order','targetScope','targetsCalled',
+];
 const REMOVE_OPTS = ['listener',...RES_PROPS];
 
 function makeOpts(spec)
@@ -34,6 +40,22 @@ function isListener(v)
   return (typeof v === F || (isObj(v) && typeof v.handleEvent === F));
 }
 
+/**
+ * Compare two listeners to determine which should be called first.
+ * 
+ * For use with `Array#sort()`; sorts by `priority` (highest first),
+ * and then by `order` (lowest first).
+ * 
+ * @param {module:@lumjs/events.Listener} a 
+ * @param {module:@lumjs/events.Listener} b 
+ * @returns {number}
+ * @alias module:@lumjs/events.Listener.compare
+ */
+function compare(a, b)
+{
+  return (b.priority - a.priority) || (a.order - b.order);
+}
+
 /**
  * An Event Listener instance used by a Registry
  * 
@@ -45,11 +67,36 @@ function isListener(v)
  * @prop {(function|object)} handler - Event handler callback
  * @prop {Set} eventTypes - A set of all event types handled by this
  * @prop {Set} eventNames - Alias to `eventTypes`
+ * @prop {Set.<string>} namespaces - Any namespaces from the event types;
+ * see the `namespace` option of the Registry for details.
  * @prop {object} options - Options specific to this listener.
  * 
  * See {@link module:@lumjs/events.Registry#makeListener makeListener()}
  * for details on what this may contain and how it is populated.
  * 
+ * @prop {Set.<function>} cleanup - Functions to call when the listener
+ * is removed from the registry; the set is cleared once they're called.
+ * 
+ * @prop {number} calls - The number of times the handler has been called.
+ * 
+ * @prop {boolean} expired - Will be `true` once the listener has reached
+ * the end of its lifetime (see the `times`, `until`, and `oncePerTarget`
+ * options), after which the handler will not be called again.
+ * 
+ * @prop {?Set.<object>} targetScope - If the listener is scoped to specific
+ * targets (using the `target` or `targets` options) this will be a set of
+ * those targets; otherwise it will be `null`.
+ * 
+ * @prop {Set.<object>} targetsCalled - Targets the handler has been called
+ * for; only used if the `oncePerTarget` option is enabled.
+ * 
+ * @prop {?module:@lumjs/events.Modifiers} modifiers - Used if any of the
+ * `debounce`, `throttle`, or `dedupe` options are set; otherwise `null`.
+ * 
+ * @prop {number} order - Set by the Registry when the listener is added;
+ * used to keep listeners with the same priority in the order they were
+ * added. Will be `Infinity` if the listener has never been added.
+ * 
  * @alias module:@lumjs/events.Listener
  */
 class LumEventListener extends Internal
@@ -81,8 +128,22 @@ class LumEventListener extends Internal
     // Assign the rest here.
     this.registry = registry;
     this.options = makeOpts(spec);
+    this.order = Infinity;
+    this.cleanup = new Set();
+    this.calls = 0;
+    this.expired = false;
+    this.targetsCalled = new Set();
+    this.targetScope = (this.options.targets !== undefined)
+      ? new Set(this.options.targets)
+      : (this.options.target !== undefined)
+        ? new Set([this.options.target])
+        : null;
+    this.modifiers = Modifiers.needed(this.options) 
+      ? new Modifiers(this) 
+      : null;
     const events = spec.eventTypes ?? spec.eventNames;
     this.eventTypes = this.eventNames = registry.getEventTypes(events);
+    this.namespaces = registry.getNamespaces(events);
 
     const setup = this.options.setupListener ?? registry.options.setupListener;
     if (typeof setup === F)
@@ -100,6 +161,82 @@ class LumEventListener extends Internal
     return this.eventTypes.size > 0;
   }
 
+  /**
+   * Call (and then clear) the `cleanup` functions.
+   * 
+   * Used by the Registry when the listener is removed;
+   * each function is called with `this` listener as its context.
+   * @protected
+   * @returns {void}
+   */
+  runCleanup()
+  {
+    for (const fn of this.cleanup)
+    {
+      fn.call(this);
+    }
+    this.cleanup.clear();
+  }
+
+  /**
+   * See if the handler may be called for a target.
+   * 
+   * Used by the Registry to skip expired listeners, targets the listener
+   * isn't scoped to, and targets that have already been handled if the
+   * `oncePerTarget` option is enabled.
+   * @protected
+   * @param {object} target - A single target object
+   * @param {object} [node=target] The object to check the target scope
+   * against; in the capture and bubble phases, the `currentTarget`.
+   * @returns {boolean}
+   */
+  canHandle(target, node=target)
+  {
+    return !(this.expired
+      || (this.targetScope && !this.targetScope.has(node))
+      || (this.options.oncePerTarget && this.targetsCalled.has(target)));
+  }
+
+  /**
+   * Has the handler been called for every target in the registry?
+   * 
+   * Always `false` unless the `oncePerTarget` option is enabled, and
+   * the registry targets are not dynamic (i.e. not using a function).
+   * @type {boolean}
+   */
+  get allTargetsCalled()
+  {
+    const reg = this.registry;
+    if (!this.options.oncePerTarget || reg.funTargets) return false;
+    for (const target of reg.getTargets())
+    {
+      if (!this.targetsCalled.has(target)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Mark the listener as expired, and have it removed from the registry
+   * at the end of the emit process (the same as a `once` listener).
+   * @protected
+   * @param {module:@lumjs/events.Status} status - Emit status info
+   * @returns {void}
+   */
+  expire(status)
+  {
+    this.expired = true;
+    status.onceRemoved.add(this);
+  }
+
+  /**
+   * The listener priority; from `this.options.priority` or `0`.
+   * @type {number}
+   */
+  get priority()
+  {
+    return this.options.priority ?? 0;
+  }
+
   /**
    * Used by {@link module:@lumjs/events.Registry#emit emit()} to create
    * and emit a new Event instance for a specified event name and target.
@@ -109,42 +246,149 @@ class LumEventListener extends Internal
    * @param {string} type      - A single event type/name that was triggered
    * @param {object} target    - A single target object
    * @param {module:@lumjs/events.Status} status - Emit status info
-   * @returns {module:@lumjs/events.Event} The new Event that was emitted
+   * @returns {?module:@lumjs/events.Event} The new Event that was emitted;
+   * or `null` if the `filter` option skipped it.
+   * @throws {*} Anything thrown by the handler, unless the `catchErrors`
+   * option is enabled, in which case it's added to `status.errors`.
    */
   emitEvent(type, target, status)
   {
     const event = new Event(this, target, type, status);
-    if (typeof this.handler === F)
-    { // The simplest is the good old function
-      event.returnValue = this.handler.call(event.target, event);
+    const opts = this.options;
+
+    if (typeof opts.filter === F && !opts.filter.call(this, event))
+    { // Not an event we want.
+      return null;
     }
-    else
-    { // An object with a `handleEvent()` method
-      event.returnValue = this.handler.handleEvent(event);
+
+    if (this.modifiers && !this.modifiers.accept(event))
+    { // Skipped or delayed by the modifiers.
+      return null;
     }
 
+    return this.callHandler(event);
+  }
+
+  /**
+   * Call the handler for an event, applying the lifetime options.
+   * 
+   * This is a *protected method* and should not be called directly.
+   * @protected
+   * @param {module:@lumjs/events.Event} event - The event to handle
+   * @returns {module:@lumjs/events.Event} The event
+   * @throws {*} Anything thrown by the handler, unless the `catchErrors`
+   * option is enabled, in which case it's added to `status.errors`.
+   */
+  callHandler(event)
+  {
+    const opts = this.options;
+    const status = event.status;
+
     if (event.options.once)
     { // This listener is to be removed
       status.onceRemoved.add(this);
     }
+
+    this.calls++;
+    if (opts.oncePerTarget)
+    {
+      this.targetsCalled.add(event.target);
+    }
+
+    if (this.calls >= opts.times || this.allTargetsCalled)
+    { // This is the last time the handler will be called.
+      this.expire(status);
+    }
+
+    const tracer = this.registry.tracer;
+    const call = tracer?.callStart(event);
+
+    try
+    {
+      if (typeof this.handler === F)
+      { // The simplest is the good old function
+        event.returnValue = this.handler.call(event.target, event);
+      }
+      else
+      { // An object with a `handleEvent()` method
+        event.returnValue = this.handler.handleEvent(event);
+      }
+    }
+    catch (err)
+    {
+      if (call) call.error = err;
+      if (!event.options.catchErrors) throw err;
+      status.addError(err, event);
+    }
+    finally
+    {
+      if (call) tracer.callEnd(call, event);
+    }
+
+    if (typeof opts.until === F && opts.until.call(this, event))
+    {
+      this.expire(status);
+    }
+
     return event;
   }
 
+  /**
+   * Call the handler for an event that was delayed by the modifiers.
+   * 
+   * As the emit process has already finished, any caught errors are
+   * emitted right away, and if the listener is to be removed, it is.
+   * 
+   * This is a *protected method* and should not be called directly.
+   * @protected
+   * @param {module:@lumjs/events.Event} event - The event to handle
+   * @returns {void}
+   */
+  callDeferred(event)
+  {
+    const status = event.status;
+    const errors = status.errors.length;
+    try
+    {
+      this.callHandler(event);
+    }
+    finally
+    {
+      if (status.onceRemoved.has(this))
+      {
+        this.registry.removeListeners(this);
+      }
+    }
+    this.registry.emitErrors(status.errors.slice(errors));
+  }
+
   /**
    * Used by {@link module:@lumjs/events.Registry#add add()} when
    * new listeners are added to stateful event types.
    * 
+   * Only the event types in `status.eventTypes` that this listener
+   * handles (directly or via a pattern) will be emitted.
+   * 
    * This is a *protected method* and should not be called directly.
    * @protected
    * @param {module:@lumjs/events.Status} status - Emit Status info
    */
   emitEventsWith(status)
   {
+    const reg = this.registry;
+    status.resetProcess(true);
+
     emitTargets: for(let tg of status.targets)
     {
+      status.resetProcess();
+
       for (let et of status.eventTypes)
       {
-        let event = this.emitEvent(et, gt, status);
+        if (!this.canHandle(tg)) break;
+        if (!reg.getListeners(et).includes(this)) continue;
+
+        let event = this.emitEvent(et, tg, status);
+        if (!event) continue;
         status.emitted.push(event);
 
         if (status.process.doneEmitting)
@@ -156,8 +400,33 @@ class LumEventListener extends Internal
         {
           break;
         }
+
+        // Only one listener, so there's nothing more to skip.
+        status.process.doneType = false;
       }
     }
+
+    status.resetProcess();
+  }
+
+  /**
+   * Get a JSON summary of this listener.
+   * 
+   * Used by `Event#toJSON()`; the handler and the registry are skipped.
+   * @returns {object} An object with the `eventTypes`, `namespaces`,
+   * `order`, `priority`, and `calls` properties.
+   */
+  toJSON()
+  {
+    return {
+      eventTypes: [...this.eventTypes].map(type => (type instanceof RegExp)
+        ? String(type) 
+        : typeToJSON(type)),
+      namespaces: [...this.namespaces],
+      order: this.order,
+      priority: this.priority,
+      calls: this.calls,
+    }
   }
 
   static get reservedProps()
@@ -167,4 +436,5 @@ class LumEventListener extends Internal
 }
 
 LumEventListener.isListener = isListener;
+LumEventListener.compare = compare;
 module.exports = LumEventListener;
@@ -0,0 +1,218 @@
+"use strict";
+
+const {N,F,isObj} = require('@lumjs/core/types');
+
+const DEF_TIMERS =
+{
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: id => clearTimeout(id),
+}
+
+/**
+ * Rate limiting modifiers for a Listener.
+ * 
+ * Created by a Listener if any of the `debounce`, `throttle`, or `dedupe`
+ * options are used; see {@link module:@lumjs/events.Registry#makeListener}
+ * for details on the options.
+ * 
+ * When a handler call is delayed by `debounce` or `throttle`, it will be
+ * made from a timer after the emit process has finished. Errors thrown by
+ * the handler will be caught and re-emitted if the `catchErrors` option is
+ * enabled (otherwise they'll be thrown from the timer), and a `once`
+ * or expired listener will be removed right after the call.
+ * 
+ * Any pending calls are discarded when the listener is removed.
+ * 
+ * @prop {module:@lumjs/events.Listener} listener - The Listener.
+ * @prop {module:@lumjs/events~Timers} timers - Clock and timer functions.
+ * @prop {?number} debounce - Debounce delay in milliseconds.
+ * @prop {?object} throttle - Throttle options (`wait`, `leading`, `trailing`).
+ * @prop {?object} dedupe - Dedupe options (`key`, `window`).
+ * @prop {?module:@lumjs/events.Event} pending - An event waiting for a timer.
+ * @prop {*} timer - The current timer id (`null` if there isn't one).
+ * @prop {Map} seen - Dedupe keys, and when they were last seen.
+ * 
+ * @alias module:@lumjs/events.Modifiers
+ */
+class LumEventModifiers
+{
+  /**
+   * Create the modifiers for a listener; not meant to be called directly.
+   * @protected
+   * @param {module:@lumjs/events.Listener} listener
+   */
+  constructor(listener)
+  {
+    const opts = listener.options;
+    this.listener = listener;
+    this.timers = Object.assign({}, DEF_TIMERS,
+      listener.registry.options.timers, opts.timers);
+
+    this.debounce = (typeof opts.debounce === N) ? opts.debounce : null;
+
+    this.throttle = (typeof opts.throttle === N)
+      ? {wait: opts.throttle}
+      : (isObj(opts.throttle) ? Object.assign({}, opts.throttle) : null);
+    if (this.throttle)
+    {
+      this.throttle.leading  = this.throttle.leading ?? true;
+      this.throttle.trailing = this.throttle.trailing ?? true;
+    }
+
+    this.dedupe = (typeof opts.dedupe === F)
+      ? {key: opts.dedupe}
+      : (isObj(opts.dedupe) ? Object.assign({}, opts.dedupe) : null);
+    if (this.dedupe)
+    {
+      this.dedupe.window = this.dedupe.window ?? Infinity;
+    }
+
+    this.pending = null;
+    this.timer = null;
+    this.seen = new Map();
+  }
+
+  /**
+   * Does a listener need modifiers?
+   * @param {object} opts - Listener options.
+   * @returns {boolean}
+   */
+  static needed(opts)
+  {
+    return (opts.debounce !== undefined
+      || opts.throttle !== undefined
+      || opts.dedupe !== undefined);
+  }
+
+  /**
+   * Decide if the handler should be called for an event right away.
+   * 
+   * Used by the Listener; not meant to be called directly.
+   * @protected
+   * @param {module:@lumjs/events.Event} event
+   * @returns {boolean} If `false` the handler should not be called now;
+   * the event was either skipped, or saved to be handled later.
+   */
+  accept(event)
+  {
+    if (this.dedupe && this.isDupe(event))
+    {
+      return false;
+    }
+
+    if (this.debounce !== null)
+    { // Wait until the events stop.
+      this.pending = event;
+      this.startTimer(this.debounce, () => this.flush());
+      return false;
+    }
+
+    if (this.throttle)
+    {
+      if (this.timer === null)
+      { // A new throttle window.
+        this.startTimer(this.throttle.wait, () => this.endWindow());
+        if (this.throttle.leading) return true;
+      }
+      this.pending = event;
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Has an event with the same dedupe key been seen in the time window?
+   * @protected
+   * @param {module:@lumjs/events.Event} event
+   * @returns {boolean}
+   */
+  isDupe(event)
+  {
+    const now = this.timers.now();
+    const {key, window} = this.dedupe;
+
+    for (const [k, seenAt] of this.seen)
+    { // Forget the keys outside of the window; oldest are first.
+      if (now - seenAt < window) break;
+      this.seen.delete(k);
+    }
+
+    const k = key.call(this.listener, event);
+    if (this.seen.has(k)) return true;
+    this.seen.set(k, now);
+    return false;
+  }
+
+  /**
+   * Start (or restart) the timer.
+   * @protected
+   * @param {number} ms - Delay in milliseconds.
+   * @param {function} fn - Function to call.
+   * @returns {void}
+   */
+  startTimer(ms, fn)
+  {
+    if (this.timer !== null)
+    {
+      this.timers.clearTimeout(this.timer);
+    }
+    this.timer = this.timers.setTimeout(() =>
+    {
+      this.timer = null;
+      fn();
+    }, ms);
+  }
+
+  /**
+   * End a throttle window, calling the handler for any trailing event.
+   * @protected
+   * @returns {void}
+   */
+  endWindow()
+  {
+    if (this.pending && this.throttle.trailing)
+    { // The trailing call starts a new window.
+      this.startTimer(this.throttle.wait, () => this.endWindow());
+      this.flush();
+    }
+    else
+    {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Call the handler for the pending event (if there is one).
+   * @returns {void}
+   */
+  flush()
+  {
+    const event = this.pending;
+    this.pending = null;
+    if (event)
+    {
+      this.listener.callDeferred(event);
+    }
+  }
+
+  /**
+   * Discard any pending event and stop the timer.
+   * 
+   * Called automatically when the listener is removed.
+   * @returns {void}
+   */
+  clear()
+  {
+    if (this.timer !== null)
+    {
+      this.timers.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pending = null;
+    this.seen.clear();
+  }
+}
+
+module.exports = LumEventModifiers;
@@ -0,0 +1,114 @@
+'use strict';
+
+const {S} = require('@lumjs/core/types');
+
+// Characters that separate the segments of an event type.
+const SEP = '.:/';
+const NOT_SEP = `[^${SEP}]`;
+const IS_SEP  = `[${SEP}]`;
+
+// A `*` anywhere, or a `+` or `#` as an entire segment.
+const IS_PATTERN = new RegExp(`\\*|(?:^|${IS_SEP})[+#](?:${IS_SEP}|$)`);
+
+const escape = str => str.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&');
+
+/**
+ * Is a value an event type pattern?
+ *
+ * - Any `RegExp` object is a pattern.
+ * - A string with a `*` anywhere in it is a glob pattern.
+ * - A string with `+` or `#` as an entire segment is an MQTT-style pattern.
+ *
+ * @param {*} type - Value to test
+ * @returns {boolean}
+ * @alias module:@lumjs/events.pattern.isPattern
+ */
+function isPattern(type)
+{
+  return (type instanceof RegExp || (typeof type === S && IS_PATTERN.test(type)));
+}
+
+/**
+ * Compile an event type pattern into a RegExp.
+ *
+ * Event type strings are split into segments by `.`, `:`, or `/`;
+ * and the following special tokens are supported in patterns:
+ *
+ * - `*`  matches zero or more characters within a single segment.
+ * - `**` matches zero or more characters, including separators.
+ * - `+`  (as an entire segment) matches exactly one non-empty segment.
+ * - `#`  (as the entire last segment) matches zero or more segments.
+ *
+ * So `'user:*'` matches `'user:login'` but not `'user:login:failed'`,
+ * while `'job.**'` matches both `'job.start'` and `'job.step.done'`,
+ * and `'a/+/c'` matches `'a/b/c'`, and `'a/#'` matches `'a'` and `'a/b/c'`.
+ *
+ * @param {(string|RegExp)} pattern - Pattern to compile;
+ * a RegExp will be returned as is.
+ * @returns {RegExp}
+ * @alias module:@lumjs/events.pattern.compile
+ */
+function compile(pattern)
+{
+  if (pattern instanceof RegExp)
+  {
+    return pattern;
+  }
+
+  let source = '', rest = pattern;
+
+  if (rest === '#')
+  {
+    return /^.*$/s;
+  }
+  else if (new RegExp(`${IS_SEP}#$`).test(rest))
+  { // Multi-level MQTT wildcard at the end.
+    rest = rest.slice(0, -2);
+    source = `(?:${IS_SEP}.*)?`;
+  }
+
+  const body = rest.split(/(\*\*|\*|(?<=^|[.:/])\+(?=[.:/]|$))/).map(token =>
+  {
+    switch (token)
+    {
+      case '**': return '.*';
+      case '*':  return `${NOT_SEP}*`;
+      case '+':  return `${NOT_SEP}+`;
+      default:   return escape(token);
+    }
+  }).join('');
+
+  return new RegExp(`^${body}${source}$`, 's');
+}
+
+/**
+ * Build a function that tests if an event type matches a pattern.
+ *
+ * @param {(string|RegExp)} pattern - Pattern; see `compile()`.
+ * @returns {function} A test function that is passed a single event type,
+ * and returns a `boolean`. Only string event types can match a pattern.
+ * @alias module:@lumjs/events.pattern.matcher
+ */
+function matcher(pattern)
+{
+  const re = compile(pattern);
+  return function(type)
+  {
+    if (typeof type !== S) return false;
+    re.lastIndex = 0; // In case of a global or sticky RegExp.
+    return re.test(type);
+  }
+}
+
+/**
+ * Event type pattern functions.
+ *
+ * Used by the Registry to find listeners that use patterns
+ * rather than exact event types.
+ *
+ * @namespace module:@lumjs/events.pattern
+ */
+module.exports =
+{
+  isPattern, compile, matcher,
+}
@@ -0,0 +1,249 @@
+"use strict";
+
+const {N} = require('@lumjs/core/types');
+const {jsonSafe, typeToJSON, typeFromJSON, knownSymbols} = require('./serialize');
+
+// Emit options that are saved as `targets`, or that can't be saved at all.
+const SKIP_OPTS = ['target','targets','signal','source'];
+
+/**
+ * Records emit processes from a Registry into a serializable log.
+ * 
+ * Use {@link module:@lumjs/events.Registry#record registry.record()}
+ * to create one, and
+ * {@link module:@lumjs/events.Registry#replayLog registry.replayLog()}
+ * to replay a log into a Registry.
+ * 
+ * The recorder is a middleware function (see `registry.use()`), so an
+ * emit is recorded when it reaches the recorder; create it after any
+ * other middleware to record their changes. Emits canceled by earlier
+ * middleware, and replays of stateful event types to new listeners,
+ * aren't recorded. Use `detach()` to remove the middleware once
+ * you're finished with the recorder.
+ * 
+ * The emit options are saved in the log too, except for `signal` and
+ * `source`. As targets can't be serialized, the `target` and `targets`
+ * options are saved as indexes into `registry.getTargets()`, and replay
+ * uses the targets at the same indexes in the replaying Registry.
+ * 
+ * The log is a plain object that can be passed to `JSON.stringify()`
+ * (and `JSON.stringify(recorder)` works too).
+ * 
+ * @prop {module:@lumjs/events.Registry} registry - The Registry.
+ * @prop {module:@lumjs/events~EventLog} log - The log.
+ * @prop {boolean} recording - Are new emits being recorded?
+ * @prop {?function} middleware - The middleware function;
+ * `null` once `detach()` has been called.
+ * @prop {function} serialize - Converts the emit arguments for the log.
+ * @prop {function} now - Returns the current time in milliseconds.
+ * 
+ * @alias module:@lumjs/events.Recorder
+ */
+class LumEventRecorder
+{
+  /**
+   * Create a recorder; use `registry.record()` instead of calling this.
+   * @protected
+   * @param {module:@lumjs/events.Registry} registry
+   * @param {object} [opts] Options
+   * @param {function} [opts.serialize] Passed the emit arguments and the
+   * Status, and must return a JSON-compatible value to save in the log.
+   * The default uses {@link module:@lumjs/events.serialize.jsonSafe}.
+   * @param {function} [opts.now] Clock function; default uses the `now`
+   * function from the `timers` Registry option, or `Date.now()`.
+   */
+  constructor(registry, opts={})
+  {
+    this.registry = registry;
+    this.serialize = opts.serialize ?? (args => jsonSafe(args));
+    this.now = opts.now ?? registry.options.timers?.now ?? (() => Date.now());
+    this.recording = true;
+
+    const start = this.now();
+    this.log = {version: 1, start, entries: []};
+
+    const recorder = this;
+    this.middleware = function(status, next, listener)
+    {
+      if (recorder.recording && !listener)
+      { // Saved right away so nested emits are logged after this one.
+        recorder.add(status, this);
+      }
+      return next();
+    }
+    registry.use(this.middleware);
+  }
+
+  /**
+   * Add an entry to the log.
+   * 
+   * Used by the middleware; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} status
+   * @param {module:@lumjs/events.Registry} registry
+   * @returns {module:@lumjs/events~EventLogEntry}
+   */
+  add(status, registry)
+  {
+    const types = registry.getEventTypes(status.eventTypes);
+    const entry =
+    {
+      time: this.now() - this.log.start,
+      types: [...types].map(typeToJSON),
+      args: this.serialize(status.args, status),
+    }
+
+    const opts = status.options;
+    const options = {};
+    for (const key in opts)
+    {
+      if (!SKIP_OPTS.includes(key))
+      {
+        options[key] = opts[key];
+      }
+    }
+    if (Object.keys(options).length)
+    {
+      entry.options = jsonSafe(options);
+    }
+
+    if (opts.target !== undefined || opts.targets !== undefined)
+    {
+      const all = [...registry.getTargets()];
+      entry.targets = [...status.targets].map(tg => all.indexOf(tg));
+    }
+
+    this.log.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Stop recording.
+   * @returns {module:@lumjs/events~EventLog} The log.
+   */
+  stop()
+  {
+    this.recording = false;
+    return this.log;
+  }
+
+  /**
+   * Start recording again after `stop()`.
+   * @returns {module:@lumjs/events.Recorder} `this`
+   * @throws {Error} If the recorder has been detached.
+   */
+  resume()
+  {
+    if (!this.middleware)
+    {
+      throw new Error("Recorder is detached");
+    }
+    this.recording = true;
+    return this;
+  }
+
+  /**
+   * Stop recording, and remove the middleware from the Registry.
+   * 
+   * The recorder can't be resumed after this, but the log is kept.
+   * @returns {module:@lumjs/events~EventLog} The log.
+   */
+  detach()
+  {
+    this.recording = false;
+    if (this.middleware)
+    {
+      const list = this.registry.middleware;
+      const index = list.indexOf(this.middleware);
+      if (index !== -1) list.splice(index, 1);
+      this.middleware = null;
+    }
+    return this.log;
+  }
+
+  /**
+   * Get the log for `JSON.stringify()`.
+   * @returns {module:@lumjs/events~EventLog}
+   */
+  toJSON()
+  {
+    return this.log;
+  }
+
+  /**
+   * Replay a log into a Registry.
+   * 
+   * See {@link module:@lumjs/events.Registry#replayLog} for details.
+   * 
+   * @param {module:@lumjs/events.Registry} registry
+   * @param {(module:@lumjs/events~EventLog|string)} log
+   * @param {object} [opts]
+   * @returns {Promise<Array>}
+   */
+  static async replay(registry, log, opts={})
+  {
+    if (typeof log === 'string')
+    {
+      log = JSON.parse(log);
+    }
+
+    const entries = Array.isArray(log) ? log : log.entries;
+    const speed = (typeof opts.speed === N) ? opts.speed : 1;
+    const timers = Object.assign({setTimeout: (fn, ms) => setTimeout(fn, ms)},
+      registry.options.timers, opts.timers);
+    const deserialize = opts.deserialize ?? (args => args);
+    const symbols = knownSymbols(registry, opts.symbols);
+    const targets = [...registry.getTargets()];
+    const results = [];
+
+    let last = entries[0]?.time ?? 0;
+    for (const entry of entries)
+    {
+      const wait = (entry.time - last) / speed;
+      if (opts.realTime && wait > 0)
+      {
+        await new Promise(resolve => timers.setTimeout(resolve, wait));
+      }
+      last = entry.time;
+
+      const types = entry.types.map(type => typeFromJSON(type, symbols));
+      const args = deserialize(entry.args, entry);
+      const spec = Object.assign({}, entry.options, {eventTypes: types});
+      if (Array.isArray(entry.targets))
+      { // Targets that aren't in this Registry are skipped.
+        spec.targets = entry.targets.map(i => targets[i])
+          .filter(tg => tg !== undefined);
+      }
+
+      results.push(opts.async
+        ? await registry.emitAsync(spec, ...args)
+        : registry.emit(spec, ...args));
+    }
+
+    return results;
+  }
+}
+
+module.exports = LumEventRecorder;
+
+/**
+ * A log of emit processes from a Recorder.
+ * @typedef {object} module:@lumjs/events~EventLog
+ * @prop {number} version - The log format version (currently `1`).
+ * @prop {number} start - When recording started (from `recorder.now()`).
+ * @prop {module:@lumjs/events~EventLogEntry[]} entries - The emits.
+ */
+
+/**
+ * An emit process in an EventLog.
+ * @typedef {object} module:@lumjs/events~EventLogEntry
+ * @prop {number} time - Milliseconds since recording started.
+ * @prop {Array.<(string|object)>} types - The event types; see
+ * {@link module:@lumjs/events.serialize.typeToJSON}.
+ * @prop {*} args - The emit arguments from the `serialize` function.
+ * @prop {object} [options] The emit options (converted with
+ * {@link module:@lumjs/events.serialize.jsonSafe}), if there were any.
+ * @prop {number[]} [targets] If the `target` or `targets` emit option
+ * was used, the index of each target in `registry.getTargets()`;
+ * `-1` for a target that wasn't in the list.
+ */
@@ -0,0 +1,153 @@
+'use strict';
+
+const {S,F,isObj} = require('@lumjs/core/types');
+
+/**
+ * Built-in reducers.
+ * 
+ * - `all`   collects every return value into an array.
+ * - `first` uses the first return value that isn't `undefined`;
+ *   no more handlers are called once one is found.
+ * - `last`  uses the return value of the last handler called.
+ * - `every` is `true` if every return value is truthy;
+ *   no more handlers are called after a falsy return value.
+ * - `some`  is `true` if any return value is truthy;
+ *   no more handlers are called after a truthy return value.
+ * - `merge` merges every object return value into a new object;
+ *   any values that aren't objects are ignored.
+ * 
+ * The reducers that stop calling handlers do so by calling
+ * [event.stopEmitting()]{@link module:@lumjs/events.Event#stopEmitting}.
+ * 
+ * @alias module:@lumjs/events.reducers.builtIn
+ */
+const builtIn =
+{
+  all:
+  {
+    init: () => [],
+    reduce(result, value)
+    {
+      result.push(value);
+      return result;
+    },
+  },
+  first:
+  {
+    reduce(result, value, event)
+    {
+      if (result !== undefined || value === undefined) return result;
+      event.stopEmitting();
+      return value;
+    },
+  },
+  last:
+  {
+    reduce: (result, value) => value,
+  },
+  every:
+  {
+    init: () => true,
+    reduce(result, value, event)
+    {
+      if (!result || value) return result;
+      event.stopEmitting();
+      return false;
+    },
+  },
+  some:
+  {
+    init: () => false,
+    reduce(result, value, event)
+    {
+      if (result || !value) return result;
+      event.stopEmitting();
+      return true;
+    },
+  },
+  merge:
+  {
+    init: () => ({}),
+    reduce: (result, value) => isObj(value) ? Object.assign(result, value) : result,
+  },
+}
+
+/**
+ * The reducer used by waterfall emits.
+ * 
+ * The initial result is the first emit argument, and each return value
+ * that isn't `undefined` replaces it.
+ * See {@link module:@lumjs/events.Registry#waterfall} for details.
+ * 
+ * @alias module:@lumjs/events.reducers.waterfall
+ */
+const waterfall =
+{
+  init: status => status.args[0],
+  reduce: (result, value) => (value === undefined) ? result : value,
+}
+
+/**
+ * Get a reducer object.
+ * 
+ * @param {(string|function|object)} reducer - Reducer to get.
+ * 
+ * - A `string` is the name of one of the `builtIn` reducers.
+ * - A `function` is used as the `reduce` function of a new reducer,
+ *   with no `init` function (so the initial result is `undefined`).
+ * - An `object` must have a `reduce` function, and may have an `init`
+ *   function; it will be returned as is.
+ * 
+ * @returns {module:@lumjs/events.reducers~Reducer}
+ * @throws {TypeError} If `reducer` is not valid.
+ * @alias module:@lumjs/events.reducers.getReducer
+ */
+function getReducer(reducer)
+{
+  if (typeof reducer === S && isObj(builtIn[reducer]))
+  {
+    return builtIn[reducer];
+  }
+  else if (typeof reducer === F)
+  {
+    return {reduce: reducer};
+  }
+  else if (isObj(reducer) && typeof reducer.reduce === F)
+  {
+    return reducer;
+  }
+
+  console.error({reducer});
+  throw new TypeError("Invalid reducer");
+}
+
+/**
+ * Result reducers for emit return values.
+ * 
+ * Used by the Registry to build `status.result` when the `reducer`
+ * option is set; see {@link module:@lumjs/events.Registry} for details.
+ * 
+ * @namespace module:@lumjs/events.reducers
+ */
+module.exports =
+{
+  builtIn, getReducer, waterfall,
+}
+
+/**
+ * A reducer object.
+ * @typedef {object} module:@lumjs/events.reducers~Reducer
+ * @prop {function} [init] Returns the initial result; it's passed
+ * the Status for the emit process. If omitted, the initial result
+ * will be `undefined`.
+ * @prop {module:@lumjs/events.reducers~Reduce} reduce - Reduce function.
+ */
+
+/**
+ * A function to reduce handler return values.
+ * @callback module:@lumjs/events.reducers~Reduce
+ * @param {*} result - The result so far.
+ * @param {*} value - The return value from the handler.
+ * @param {module:@lumjs/events.Event} event - The event that was handled.
+ * @returns {*} The new result.
+ */
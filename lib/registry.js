@@ -1,11 +1,19 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {S,F,SY,isObj,isIterable} = core.types;
+const {S,F,N,SY,isObj,isIterable} = core.types;
 const {df} = core.obj;
 const Listener = require('./listener');
+const Event    = require('./event');
+const Stream   = require('./stream');
 const TypeData = require('./typedata');
 const Status   = require('./status');
+const pattern  = require('./pattern');
+const reducers = require('./reducers');
+const schema   = require('./schema');
+const Tracer   = require('./tracer');
+const Recorder = require('./recorder');
+const Transport = require('./transport');
 const RegSym = Symbol('@lumjs/events:registry');
 const cp = Object.assign;
 
@@ -14,6 +22,7 @@ const DEF_EXTENDS =
   registry: 'events',
   listen:   'on',
   emit:     'emit',
+  emitAsync: 'emitAsync',
   remove:   null,
   once:     null,
 }
@@ -28,14 +37,21 @@ const INT_EXTENDS =
 const DEF_OPTIONS =
 {
   delimiter: /\s+/,
+  errorType: 'error',
+  namespace: null,
   multiMatch: false,
+  patterns: true,
+  strict: false,
+  validate: 'throw',
   wildcard: '*',
 }
 
 const RES_PROPS =
 [
-  'args', 'emitted', 'eventNames', 'eventTypes', 'multiMatch', 'onceRemoved',
-  'registry', 'targetListeners', 'targets', 
+  'addError', 'args', 'canceled', 'defaultPrevented', 'emitted', 'errors', 'eventNames', 
+  'eventTypes', 'invalid', 'isPrevented', 'multiMatch', 'onceRemoved', 
+  'options', 'addResult', 'prevent', 'prevented', 'process', 'reducer', 'registry', 
+  'resetProcess', 'result', 'targetListeners', 'targets', 'toJSON',
 ]
 
 /**
@@ -78,6 +94,138 @@ function getMetadata(target, create=false)
   }
 }
 
+/**
+ * Wait for the return value of an event handler,
+ * then replace the `event.returnValue` with the resolved value.
+ * Rejections are added to `event.status.errors` if the
+ * `catchErrors` option is enabled.
+ * @private
+ * @param {module:@lumjs/events.Event} event
+ * @returns {Promise}
+ */
+async function resolveEvent(event)
+{
+  const tracer = event.status.registry.tracer;
+  try
+  {
+    event.returnValue = await event.returnValue;
+    tracer?.settled(event);
+  }
+  catch (err)
+  {
+    tracer?.settled(event, err);
+    if (!event.options.catchErrors) throw err;
+    event.returnValue = undefined;
+    event.status.addError(err, event);
+  }
+}
+
+/**
+ * Make sure event types were declared, if the `strict` option is enabled.
+ * 
+ * The wildcard and the `errorType` never need to be declared,
+ * nor do patterns when they are enabled.
+ * @private
+ * @param {module:@lumjs/events.Registry} reg - Registry
+ * @param {Iterable} types - Event types to check
+ * @param {string} what - What is being done (for the error message)
+ * @returns {void}
+ * @throws {TypeError} If any of the types were not declared.
+ */
+function needDeclared(reg, types, what)
+{
+  const opts = reg.options;
+  if (!opts.strict) return;
+
+  for (const et of types)
+  {
+    if (reg.typeDataFor.has(et) 
+      || et === opts.wildcard 
+      || et === opts.errorType
+      || (opts.patterns && pattern.isPattern(et))) continue;
+
+    console.error({type: et, registry: reg});
+    throw new TypeError(`Cannot ${what} undeclared event type '${String(et)}'`);
+  }
+}
+
+/**
+ * Add an emit to the queue of the current batch,
+ * merging it with an earlier emit if the batch options say to.
+ * @private
+ * @param {module:@lumjs/events.Registry} reg - Registry (in a batch)
+ * @param {(string|symbol|Array|object)} eventTypes - Events to emit
+ * @param {Array} args - Event arguments
+ * @returns {void}
+ */
+function queueEmit(reg, eventTypes, args)
+{
+  const {merge, queue} = reg.batching;
+  const types = reg.getEventTypes((isObj(eventTypes) && !isIterable(eventTypes))
+    ? (eventTypes.eventTypes ?? eventTypes.eventNames)
+    : eventTypes);
+
+  if (merge)
+  {
+    const item = queue.find(item => item.types.size === types.size
+      && Array.from(types).every(et => item.types.has(et)));
+    if (item)
+    {
+      item.eventTypes = eventTypes;
+      item.args = (merge === 'concat') ? item.args.concat(args) : args;
+      return;
+    }
+  }
+
+  queue.push({eventTypes, types, args});
+}
+
+/**
+ * Build an emit spec for a waterfall emit.
+ * @private
+ * @param {(string|symbol|Array|object)} eventTypes - Events to emit
+ * @returns {object}
+ */
+function waterfallSpec(eventTypes)
+{
+  const spec = (isObj(eventTypes) && !isIterable(eventTypes))
+    ? Object.assign({}, eventTypes)
+    : {eventTypes};
+  spec.waterfall = true;
+  return spec;
+}
+
+/**
+ * Get the reason an AbortSignal was aborted.
+ * @private
+ * @param {AbortSignal} signal
+ * @returns {*}
+ */
+function abortReason(signal)
+{
+  return signal.reason ?? new Error("The operation was aborted");
+}
+
+/**
+ * Wrap a Promise so it will be rejected if a signal is aborted.
+ * @private
+ * @param {Promise} promise - Promise to wrap.
+ * @param {?AbortSignal} signal - If not set, returns `promise` as is.
+ * @returns {Promise}
+ */
+function abortable(promise, signal)
+{
+  if (!signal) return promise;
+  return new Promise((resolve, reject) =>
+  {
+    const onAbort = () => reject(abortReason(signal));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, {once: true});
+    promise.then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 function targetsAre(targets)
 {
   const isaSet = (targets instanceof Set);
@@ -99,10 +247,28 @@ function targetsAre(targets)
  * @prop {object} options - Registry-level options
  * @prop {Set.<module:@lumjs/events.Listener>} allListeners
  * All registered event listeners
- * @prop {Map.<(string|symbol),Set.<module:@lumjs/events.Listener>>} listenersFor
- * Each key is a single event name, and the value is a Set of
+ * @prop {Map.<(string|symbol|RegExp),Set.<module:@lumjs/events.Listener>>} listenersFor
+ * Each key is a single event name (or pattern), and the value is a Set of
  * listener objects that handle that event.
  * @prop {Map.<(string|symbol),module:@lumjs/events.TypeData>} typeDataFor
+ * @prop {number} addedCount - Number of times a new listener was added;
+ * used to set the `order` property of each Listener.
+ * @prop {Map.<(string|RegExp),function>} patterns
+ * Each key is an event type pattern (including the wildcard) used in
+ * `listenersFor`, and the value is a function to test event types with.
+ * @prop {Map.<(string|symbol),module:@lumjs/events.Listener[]>} listenerCache
+ * A cache of the `getListeners()` results for each concrete event type;
+ * it is cleared whenever listeners are added or removed.
+ * @prop {Map.<(string|symbol),?WeakMap>} targetCache
+ * For each concrete event type with target-scoped listeners, a cache of
+ * the `getListeners()` results for each target; cleared along with the
+ * `listenerCache`. Types without target-scoped listeners will be `null`.
+ * @prop {module:@lumjs/events~Middleware[]} middleware - Functions added
+ * with `use()`.
+ * @prop {?module:@lumjs/events.Tracer} tracer - The tracer, if tracing
+ * has been enabled; see `trace()`.
+ * @prop {?object} batching - The queue and options of the current
+ * `batch()` call; will be `null` unless a batch is running.
  * 
  * @alias module:@lumjs/events.Registry
  */
@@ -129,8 +295,44 @@ class LumEventRegistry
    * The compiled version includes a bunch of defaults, and various
    * compose rules (mostly for the `.extend` nested options).
    * 
+   * @param {boolean} [opts.catchErrors=false] Catch errors from handlers?
+   * 
+   * If this is `true`, any errors thrown by handlers (or rejections from
+   * handlers when using `emitAsync()`) will be caught and added to the
+   * `status.errors` array, and the emit process will continue.
+   * 
+   * Once the emit process is finished, each error will be emitted as an
+   * `errorType` event, or if there are no listeners for that event type,
+   * the first error will be thrown (the same as Node's EventEmitter).
+   * 
+   * As this is composed into the `event.options` like any other option,
+   * it may also be set per-type, per-listener, or per-call.
+   * 
    * @param {(RegExp|string)} [opts.delimiter=/\s+/] Used to split event names
    * 
+   * @param {?(string|symbol)} [opts.errorType='error'] Event type for errors.
+   * 
+   * Used by the `catchErrors` option. If this is set to `null`, the caught
+   * errors will not be emitted (nor thrown), and will only be available in
+   * the `status.errors` array (and passed to the `onError` option).
+   * 
+   * @param {?string} [opts.namespace=null] Used to split namespaces from types.
+   * 
+   * Namespaces are disabled by default; set this to a delimiter (e.g. `'.'`)
+   * to enable them. With `'.'`, event type strings such as `'rename.myPlugin'`
+   * will be split into
+   * the event type `'rename'` and the namespace `'myPlugin'`. Multiple
+   * namespaces may be used, e.g. `'rename.myPlugin.v2'`.
+   * 
+   * Namespaces are ignored when emitting events, but they are saved in
+   * the `namespaces` property of listeners, and may be used to remove
+   * only the listeners with that namespace, e.g. `remove('.myPlugin')`.
+   * 
+   * If this is `null`, namespaces are not supported at all, and the full
+   * strings are used as the event types, so event types may use `.` as a
+   * segment separator (e.g. `'job.step.done'`). If you enable namespaces,
+   * use a delimiter your event types don't contain.
+   * 
    * @param {object} [opts.extend] Options for wrapper methods/properties
    * 
    * The `boolean` options determine if extension methods will be added to
@@ -162,6 +364,7 @@ class LumEventRegistry
    * their own inherent `registry` property already.
    * 
    * @param {?string} [opts.extend.emit="emit"] `emit()` proxy method
+   * @param {?string} [opts.extend.emitAsync="emitAsync"] `emitAsync()` proxy
    * @param {?string} [opts.extend.listen="on"] `listen()` proxy method
    * @param {?string} [opts.extend.once=null]   `once()` proxy method
    * @param {?string} [opts.extend.remove=null] `remove()` proxy method
@@ -182,11 +385,79 @@ class LumEventRegistry
    * If this is `false` (default), then only the first matching event 
    * name will be called for each target.
    *
+   * @param {module:@lumjs/events~GetParent} [opts.getParent]
+   * 
+   * If this is specified, the targets are considered to be a part of a
+   * tree structure, and events will propagate through the ancestors of
+   * each target, similar to the DOM event model:
+   * 
+   * - In the *capture* phase, listeners with the `capture` option set
+   *   will be called for each ancestor, starting at the root.
+   * - In the *target* phase, all listeners are called for the target.
+   * - In the *bubble* phase (only for event types where the TypeData
+   *   `bubbles` property is `true`, or with the `bubbles` emit option),
+   *   listeners without the `capture` option will be called for each
+   *   ancestor, ending at the root.
+   * 
+   * The `event.target` is always the emitted target, while the
+   * `event.currentTarget` is the object the event is currently at,
+   * and `event.eventPhase` says which phase it is.
+   * See {@link module:@lumjs/events.Event#stopPropagation} as well.
+   * 
+   * As listeners are normally called for every target, you'll likely
+   * want to use the `target` emit option when using this.
+   * 
+   * @param {boolean} [opts.patterns=true] Support event type patterns?
+   * 
+   * If this is `false`, listeners can only use exact event types (and the
+   * wildcard), so strings like `'user:*'` will be treated literally.
+   * See {@link module:@lumjs/events.Registry#makeListener} for details.
+   * 
+   * @param {boolean} [opts.parallel=false] Default `emitAsync()` dispatch mode.
+   * 
+   * If this is `false` (default), then `emitAsync()` will wait for the
+   * return value of each handler to be resolved before calling the next.
+   * 
+   * If this is `true`, all handlers will be called right away, and then
+   * `emitAsync()` will wait for all of their return values to be resolved.
+   * 
+   * As this is composed into the `event.options` like any other option,
+   * it may also be set per-type (in `TypeData.options`), per-listener,
+   * or per-call (using an emit spec object).
+   * 
+   * It has no effect on the regular synchronous `emit()` method.
+   *
+   * @param {module:@lumjs/events~OnError} [opts.onError]
+   * 
+   * If this is specified (here, or in any other source of event options),
+   * it will be called for every error caught by the `catchErrors` option.
+   *
    * @param {boolean} [opts.overwrite=false] Overwrite existing properties?
    * 
    * If `true` then when adding wrapper methods, the properties from
    * `opts.extend` will replace any existing ones in each target.
    * 
+   * @param {(string|function|object)} [opts.reducer] Reduce return values.
+   * 
+   * If this is set, the return values from the handlers will be reduced
+   * into the `status.result` property, in the order the handlers were
+   * called. The value may be the name of a built-in reducer (`'all'`,
+   * `'first'`, `'last'`, `'every'`, `'some'`, or `'merge'`), a reduce
+   * function, or a reducer object;
+   * see {@link module:@lumjs/events.reducers.getReducer} for details.
+   * 
+   * Unlike most options, this applies to the entire emit process rather
+   * than individual listeners, so it may only be set here, per-type
+   * (in `TypeData.options`), or per-call (using an emit spec object).
+   * Per-call takes priority, then the first of the emitted event types
+   * that has one set. Set it to `null` per-call to disable it.
+   * 
+   * When using `emitAsync()` the resolved values are reduced, and any
+   * handlers with the `parallel` option are reduced after all of the
+   * others, once they've all been resolved.
+   * 
+   * Reducers are not used when replaying stateful events to new listeners.
+   * 
    * @param {module:@lumjs/events~SetupEvent} [opts.setupEvent]
    * 
    * If this is specified (either here or in individual listeners),
@@ -198,6 +469,32 @@ class LumEventRegistry
    * If this is specified, it will be called and passed the Listener
    * object at the very end of its constructor.
    * 
+   * @param {boolean} [opts.strict=false] Only allow declared event types?
+   * 
+   * If this is `true`, then emitting, or adding listeners for, any event
+   * type that has not been declared with `set()` will throw a TypeError.
+   * The wildcard, the `errorType`, and patterns are always allowed.
+   * 
+   * @param {(module:@lumjs/events.Tracer|object|boolean)} [opts.tracer]
+   * Enable tracing of emit processes; passed to `trace()` by the
+   * constructor. See {@link module:@lumjs/events.Registry#trace}.
+   * 
+   * @param {module:@lumjs/events~Timers} [opts.timers] Clock and timer
+   * functions used by the `debounce`, `throttle`, and `dedupe` listener
+   * options; any that are omitted will use the global functions.
+   * Mostly useful for testing with a fake clock.
+   * 
+   * @param {string} [opts.validate='throw'] What to do with invalid
+   * arguments when emitting an event type that has a `schema`
+   * (see {@link module:@lumjs/events.Registry#set}):
+   * 
+   * - `'throw'` throws a TypeError before anything is dispatched.
+   * - `'warn'` logs a warning with `console.warn()`, then dispatches.
+   * - `'record'` dispatches as normal; check `status.invalid` afterwards.
+   * 
+   * The problems are always added to `status.invalid`. This may also
+   * be set per-type (in `TypeData.options`), or per-call.
+   * 
    * @param {string} [opts.wildcard='*'] Wildcard event name.
    * 
    * - If you use this in `listen()` the handler will be used regardless
@@ -205,6 +502,8 @@ class LumEventRegistry
    *   event name was actually triggered by using `event.name`.
    * - If you use this in `remove()` it calls `removeAll()` to remove all
    *   registered listeners.
+   * 
+   * This is the only pattern that matches Symbol event types.
    */
   constructor(targets, opts={})
   {
@@ -242,7 +541,19 @@ class LumEventRegistry
 
     this.allListeners = new Set();
     this.listenersFor = new Map();
+    this.patterns     = new Map();
+    this.listenerCache = new Map();
+    this.targetCache  = new Map();
+    this.addedCount   = 0;
     this.typeDataFor  = new Map();
+    this.batching     = null;
+    this.middleware   = [];
+    this.tracer       = null;
+
+    if (opts.tracer)
+    {
+      this.trace(opts.tracer);
+    }
 
     this.setupTargets(targets);
   } // constructor()
@@ -364,10 +675,21 @@ class LumEventRegistry
    * 
    * @param {object} [spec] The listener specification rules.
    * 
-   * @param {(string|symbol|Iterable)} [spec.eventTypes] Event type(s)
+   * @param {(string|symbol|RegExp|Iterable)} [spec.eventTypes] Event type(s)
    * 
    * See {@link module:@lumjs/events.Registry#getEventTypes} for details.
    * 
+   * Event type patterns may be used here, including glob patterns such as
+   * `'user:*'` or `'job.**'`, MQTT-style patterns such as `'a/+/c'`, and
+   * `RegExp` objects. See {@link module:@lumjs/events.pattern.compile}
+   * for the supported syntax. The `event.name` property will always be
+   * the concrete event type that was emitted, not the pattern.
+   * 
+   * If the `namespace` Registry option is enabled, everything after the
+   * first delimiter in an event type string will be considered namespaces
+   * rather than part of the type. Patterns are never split into namespaces,
+   * so they can't have any.
+   * 
    * @param {(string|symbol|Iterable)} [spec.eventNames] Alias of `eventTypes`
    * 
    * @param {module:@lumjs/events~Handler} [spec.handler] Event handler
@@ -389,6 +711,33 @@ class LumEventRegistry
    * You may also override the `setupEvent` and `setupListener` registry
    * options here if needed.
    * 
+   * @param {boolean} [spec.options.capture=false] Use the capture phase?
+   * 
+   * Only applicable if the Registry has a `getParent` option.
+   * If this is `true` the listener will be called for ancestors of
+   * the target in the capture phase, instead of the bubble phase.
+   * 
+   * @param {number} [spec.options.priority=0] Listener priority.
+   * 
+   * When an event is emitted, listeners with a higher priority will be
+   * called before those with a lower priority (negative numbers are fine).
+   * Listeners with the same priority will be called in the order they
+   * were added, and wildcard listeners are sorted along with the rest.
+   * 
+   * @param {(string|number|boolean)} [spec.options.replay='last'] 
+   * How many saved statuses of stateful event types to replay when the
+   * listener is added. Supports `'all'` (or `true`), `'last'`, `'none'`
+   * (or `false`), or a `number` of the most recent statuses.
+   * 
+   * May also be set in the `options` of a TypeData object, or as a
+   * Registry option, to change the default for those contexts.
+   * 
+   * @param {AbortSignal} [spec.options.signal] Signal to remove the listener.
+   * 
+   * When this signal is aborted, the listener will be removed from the
+   * registry automatically. If it's already aborted when the listener
+   * is added, the listener won't be added at all.
+   * 
    * @param {boolean} [spec.options.once=false] Only use the listener once?
    * 
    * If this is set to `true`, then the first time this listener is used in
@@ -396,6 +745,78 @@ class LumEventRegistry
    * be removed from the registry at the end of the emit process (after all
    * events for all targets have been triggered).
    * 
+   * @param {object} [spec.options.target] Only handle events for this target.
+   * 
+   * Target-scoped listeners are indexed by the registry, so they are
+   * skipped entirely when emitting events for any other targets.
+   * In the capture and bubble phases (see the `getParent` option),
+   * the scope is checked against the `currentTarget` instead.
+   * 
+   * @param {Iterable} [spec.options.targets] Only handle events for these
+   * targets; used instead of `target` if both are specified.
+   * 
+   * @param {function} [spec.options.filter] A test function.
+   * 
+   * Called (with the Listener as `this`) and passed each Event before
+   * the handler is called; if it returns `false`, the handler won't be
+   * called, and the Event won't be added to `status.emitted`. Unlike
+   * `target` this needs an Event, so use that when you can.
+   * 
+   * @param {number} [spec.options.times] Max number of handler calls.
+   * 
+   * Once the handler has been called this many times, no more calls will
+   * be made (even for other targets in the same emit process), and the
+   * listener will be removed at the end of the emit process.
+   * So unlike `once`, `times: 1` means exactly one call.
+   * 
+   * @param {function} [spec.options.until] Lifetime predicate.
+   * 
+   * Called (with the Listener as `this`) and passed the Event after each
+   * time the handler is called; if it returns `true`, no more calls will
+   * be made, and the listener will be removed at the end of the emit.
+   * 
+   * @param {boolean} [spec.options.oncePerTarget=false] Once per target?
+   * 
+   * If this is `true` the handler will only be called once for each target.
+   * Unless the registry targets are dynamic (i.e. using a function), the
+   * listener will be removed once it has been called for every target.
+   * 
+   * @param {number} [spec.options.debounce] Debounce delay in milliseconds.
+   * 
+   * If set, the handler won't be called until no events have been emitted
+   * for this long, and then only for the most recent event.
+   * 
+   * @param {(number|object)} [spec.options.throttle] Throttle the handler.
+   * 
+   * If this is a number, it's the same as `{wait: number}`.
+   * The handler will be called at most once every `wait` milliseconds.
+   * If `leading` is `true` (default), the first event in each period
+   * is handled right away; if `trailing` is `true` (default), the most
+   * recent event that was skipped is handled at the end of the period.
+   * 
+   * @param {(function|object)} [spec.options.dedupe] Skip duplicate events.
+   * 
+   * If this is a function, it's the same as `{key: function}`.
+   * The `key` function is called (with the Listener as `this`) and passed
+   * each Event, and must return a key value; events with a key that was
+   * already seen within the last `window` milliseconds will be skipped.
+   * The default `window` is `Infinity` (so a key is only handled once).
+   * 
+   * The modifier options (`debounce`, `throttle`, and `dedupe`) are applied
+   * after the `filter` option. If `debounce` is set, `throttle` is ignored.
+   * Handler calls delayed by them are made from a timer, after the emit
+   * process; see {@link module:@lumjs/events.Modifiers} for details.
+   * 
+   * @param {module:@lumjs/events~Timers} [spec.options.timers] Clock and
+   * timer functions for the modifier options; overrides the Registry
+   * option of the same name.
+   * 
+   * Unlike most options, the scoping options (`target`, `targets`, and
+   * `filter`), the lifetime options (`times`, `until`, and `oncePerTarget`),
+   * and the modifier options may only be set on the listener itself.
+   * The number of calls is tracked in `listener.calls`; see the Listener
+   * class.
+   * 
    * @returns {module:@lumjs/events.Listener} A new `Listener` instance
    */
   makeListener(...args)
@@ -445,19 +866,122 @@ class LumEventRegistry
   /**
    * Assign a new event listener that will only run once.
    * 
-   * Calls `this.listen()` passing all arguments to it,
-   * then sets the `listener.options.once` to `true`.
+   * Calls `this.makeListener()` passing all arguments to it,
+   * sets the `listener.options.once` to `true`, and then calls
+   * `this.add(listener)`, so a stateful replay will only be run once.
    * 
    * @param {...mixed} args
    * @returns {module:@lumjs/events.Listener}
    */
   once()
   {
-    const listener = this.listen(...arguments);
+    const listener = this.makeListener(...arguments);
     listener.options.once = true;
+    this.add(listener);
     return listener;
   }
 
+  /**
+   * Wait for an event to be emitted.
+   * 
+   * Uses a temporary Listener that is removed as soon as the returned
+   * promise is resolved or rejected.
+   * 
+   * If any of the event types are stateful and have been emitted already,
+   * the last saved status will be replayed to the temporary listener,
+   * so the promise may be resolved immediately.
+   * 
+   * @param {(string|symbol|RegExp|Iterable)} types - Event type(s);
+   * see {@link module:@lumjs/events.Registry#getEventTypes} for details.
+   * @param {object} [opts] Options
+   * @param {function} [opts.filter] A test function; passed the Event,
+   * and must return `true` if it is the event we were waiting for.
+   * @param {object} [opts.target] Only accept events for this target.
+   * @param {number} [opts.timeout] Milliseconds to wait before giving up.
+   * @param {AbortSignal} [opts.signal] Signal to stop waiting.
+   * @param {(string|number|boolean)} [opts.replay='last'] How many
+   * saved statuses of stateful event types to check;
+   * see {@link module:@lumjs/events.Registry#makeListener} for details.
+   * 
+   * @returns {Promise<module:@lumjs/events.Event>} Resolves to the
+   * first matching event. Will be rejected if the timeout is reached,
+   * the signal is aborted, or if the `filter` function throws an error.
+   */
+  waitFor(types, opts={})
+  {
+    const {filter, target, timeout, signal} = opts;
+
+    return new Promise((resolve, reject) =>
+    {
+      let timer, settled = false;
+
+      const settle = (fn, value) =>
+      {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.removeListeners(listener);
+        fn(value);
+      }
+
+      const onAbort = () => settle(reject, abortReason(signal));
+
+      const handler = event => 
+      {
+        if (settled) return;
+        try
+        {
+          if (typeof filter === F && !filter.call(this, event)) return;
+        }
+        catch (err)
+        {
+          return settle(reject, err);
+        }
+        settle(resolve, event);
+      }
+
+      const replay = opts.replay ?? 'last';
+      const listener = this.makeListener(types, handler, {replay, target});
+
+      if (signal?.aborted)
+      {
+        return onAbort();
+      }
+
+      signal?.addEventListener('abort', onAbort, {once: true});
+      if (typeof timeout === N)
+      {
+        timer = setTimeout(() => settle(reject, 
+          new Error(`Timed out after ${timeout}ms waiting for event`)), 
+          timeout);
+      }
+
+      try
+      {
+        this.add(listener);
+      }
+      catch (err)
+      { // Don't leave the timer or the abort listener behind.
+        settle(reject, err);
+      }
+    });
+  }
+
+  /**
+   * Get an async iterable stream of emitted events.
+   * 
+   * @param {(string|symbol|RegExp|Iterable)} types - Event type(s);
+   * see {@link module:@lumjs/events.Registry#getEventTypes} for details.
+   * @param {object} [opts] Options; see 
+   * {@link module:@lumjs/events.Stream} for details.
+   * @returns {module:@lumjs/events.Stream}
+   */
+  stream(types, opts)
+  {
+    return new Stream(this, types, opts);
+  }
+
   /**
    * Add a Listener instance.
    * 
@@ -470,6 +994,9 @@ class LumEventRegistry
    * as we store the instances in a `Set` internally, so it'll only ever
    * be stored once.
    * 
+   * If the listener has a `signal` option that has already been aborted,
+   * this will do nothing at all.
+   * 
    * @returns {module:@lumjs/events.Registry} `this`
    */
   add(listener)
@@ -480,8 +1007,28 @@ class LumEventRegistry
       throw new TypeError("Invalid listener instance");
     }
 
+    needDeclared(this, listener.eventTypes, 'listen for');
+
     const statefuls = new Set();
-    this.allListeners.add(listener);
+    if (!this.allListeners.has(listener))
+    {
+      const signal = listener.options.signal;
+      if (signal)
+      { // Remove the listener when the signal is aborted.
+        if (signal.aborted) return this;
+        const onAbort = () => this.removeListeners(listener);
+        signal.addEventListener('abort', onAbort, {once: true});
+        listener.cleanup.add(() => signal.removeEventListener('abort', onAbort));
+      }
+
+      if (listener.modifiers)
+      { // Discard any pending calls when the listener is removed.
+        listener.cleanup.add(() => listener.modifiers.clear());
+      }
+
+      listener.order = this.addedCount++;
+      this.allListeners.add(listener);
+    }
 
     for (const et of listener.eventTypes)
     {
@@ -494,22 +1041,44 @@ class LumEventRegistry
       {
         lset = new Set();
         this.listenersFor.set(et, lset);
+        if (et === this.options.wildcard)
+        {
+          this.patterns.set(et, () => true);
+        }
+        else if (this.options.patterns && pattern.isPattern(et))
+        {
+          this.patterns.set(et, pattern.matcher(et));
+        }
       }
 
       lset.add(listener);
+    }
+
+    this.clearCache();
 
-      let etd = this.typeDataFor.get(et);
-      if (etd?.stateful && etd.status)
+    for (const [et, etd] of this.typeDataFor)
+    {
+      if (etd.stateful && this.getListeners(et).includes(listener))
       {
-        statefuls.add(etd.status);
+        const replay = listener.options.replay 
+          ?? etd.options.replay 
+          ?? this.options.replay;
+        for (const status of etd.getReplay(replay))
+        {
+          statefuls.add(status);
+        }
       }
     }
 
-    if (statefuls.size > 0)
+    for (const status of statefuls)
     {
-      for (let status of statefuls)
-      {
-        listener.emitEventsWith(status);
+      const errors = status.errors.length;
+      this.runMiddleware(status, () => listener.emitEventsWith(status), listener);
+      this.emitErrors(status.errors.slice(errors));
+      if (status.onceRemoved.has(listener))
+      { // A `once` listener only gets a single replay.
+        this.removeListeners(listener);
+        break;
       }
     }
 
@@ -522,8 +1091,14 @@ class LumEventRegistry
    */
   removeAll()
   {
+    for (const listener of this.allListeners)
+    {
+      listener.runCleanup();
+    }
     this.allListeners.clear();
     this.listenersFor.clear();
+    this.patterns.clear();
+    this.clearCache();
     return this;
   }
 
@@ -544,12 +1119,47 @@ class LumEventRegistry
    * See `remove(wildcard)` or `removeAll()` if you really want
    * to remove **ALL** listeners.
    * 
+   * If a string includes namespaces (see the `namespace` option in the
+   * constructor), only listeners with *all* of those namespaces will be
+   * affected. So `'rename.myPlugin'` removes the `rename` event type
+   * from listeners with the `myPlugin` namespace, and `'.myPlugin'`
+   * removes every listener with the `myPlugin` namespace.
+   * 
    * @returns {module:@lumjs/events.Registry} `this`
    */
   removeEvents(...types)
   {
-    for (const et of types)
+    for (let et of types)
     {
+      const [type, namespaces] = this.splitNamespace(et);
+
+      if (namespaces.length > 0)
+      { // Only remove listeners with the namespaces.
+        const inNs = lsnr => namespaces.every(ns => lsnr.namespaces.has(ns));
+
+        if (type === '')
+        { // All listeners in the namespaces.
+          this.removeListeners(...Array.from(this.allListeners).filter(inNs));
+        }
+        else if (this.listenersFor.has(type))
+        {
+          const eventListeners = this.listenersFor.get(type);
+          for (const lsnr of eventListeners)
+          {
+            if (!inNs(lsnr)) continue;
+            eventListeners.delete(lsnr);
+            lsnr.eventTypes.delete(type);
+            if (!lsnr.hasEvents)
+            { // The last event name was removed.
+              this.removeListeners(lsnr);
+            }
+          }
+        }
+
+        continue;
+      }
+
+      et = type;
       if (this.listenersFor.has(et))
       {
         const eventListeners = this.listenersFor.get(et);
@@ -564,6 +1174,8 @@ class LumEventRegistry
         eventListeners.clear();
       }
     }
+
+    this.clearCache();
     return this;
   }
 
@@ -579,6 +1191,7 @@ class LumEventRegistry
       if (this.allListeners.has(listener))
       { // First remove it from allListeners
         this.allListeners.delete(listener);
+        listener.runCleanup();
   
         for (const et of listener.eventTypes)
         {
@@ -590,6 +1203,8 @@ class LumEventRegistry
         }
       }
     }
+
+    this.clearCache();
     return this;
   }
 
@@ -601,7 +1216,8 @@ class LumEventRegistry
    * - If this is the `wildcard` string, then this will call `removeAll()`.
    * - If this is any other `string` it will be split using `splitNames()`,
    *   and the resulting strings passed as arguments to `removeEvents()`.
-   * - If this is a `Symbol` it will be passed to `removeEvents()`.
+   *   Strings with namespaces like `'.myPlugin'` are supported.
+   * - If this is a `Symbol` or `RegExp` it will be passed to `removeEvents()`.
    * - If this is a `Listener` instance, its passed to `removeListeners()`.
    * 
    * @returns {module:@lumjs/events.Registry} `this`
@@ -618,7 +1234,7 @@ class LumEventRegistry
       const events = this.splitNames(what);
       return this.removeEvents(...events);
     }
-    else if (typeof what === SY)
+    else if (typeof what === SY || what instanceof RegExp)
     {
       return this.removeEvents(what);
     }
@@ -634,103 +1250,981 @@ class LumEventRegistry
   }
 
   /**
-   * Emit (trigger) one or more events.
-   * 
-   * @param {(string|symbol|Array)} eventTypes - Events to emit;
-   * see {@link module:@lumjs/events.Registry#getEventTypes} for details.
-   * 
-   * @param  {...any} [args] Event arguments.
+   * Enable (or disable) tracing of emit processes.
    * 
-   * If the *first* argument is an [Event]{@link module:@lumjs/events.Event} 
-   * object, then it is considered the previous Event in a chained event tree.
-   * See the documentation for the Event class for more details on that.
+   * @param {(module:@lumjs/events.Tracer|object|boolean|null)} [tracer=true]
    * 
-   * If the *first* argument is any other kind of `object`, it will be used
-   * as the `event.data` property. See Event docs for more details.
+   * - A Tracer instance will be used as is.
+   * - An `object` is passed to the Tracer constructor as options.
+   * - `true` creates a Tracer with the default options.
+   * - `false` or `null` disables tracing.
    * 
-   * @returns {module:@lumjs/events.Status}
+   * @returns {?module:@lumjs/events.Tracer} The tracer (`null` if disabled).
+   * Traces from the default options are in `tracer.ring.traces`.
    */
-  emit(eventTypes, ...args)
+  trace(tracer=true)
   {
-    const extOpts = this.options.extend;
-    const sti = new Status(this, eventTypes, args);
-    
-    if (extOpts.results)
-    {
-      this.extendInternal(sti);
-    }
-
-    { // Get the targets.
-      const tgs = this.getTargets(sti);
-      sti.targets = (tgs instanceof Set) ? tgs : new Set(tgs);
-      if (this.funTargets && extOpts.onDemand)
-      {
-        this.setupTargets(sti.targets);
-      }
-    }
-
-    const wilds = this.listenersFor.get(this.options.wildcard);
-
-    emitTargets: for (const tg of sti.targets)
+    if (tracer === true)
     {
-      const called = sti.targetListeners = new Set();
-      emitTypes: for (const et of sti.eventTypes)
-      {
-        if (!this.listenersFor.has(et)) continue;
-
-        let listeners = this.listenersFor.get(et);
-        if (wilds) listeners = listeners.union(wilds);
-
-        emitListeners: for (const lsnr of listeners)
-        {
-          if (sti.multiMatch || !called.has(lsnr))
-          { // Let's emit an event!
-            called.add(lsnr);
-            const event = lsnr.emitEvent(et, tg, sti);
-            sti.emitted.push(event);
-
-            if (sti.process.doneEmitting)
-            {
-              break emitTargets;
-            }
-            if (sti.process.doneTarget)
-            {
-              break emitTypes;
-            }
-            if (sti.process.doneType)
-            {
-              break emitListeners;
-            }
-          }
-        }
-      }
+      tracer = new Tracer();
     }
-
-    // Nix the targetListeners property.
-    delete sti.targetListeners;
-
-    // Handle any `onceRemoved` listeners.
-    for (const lsnr of sti.onceRemoved)
+    else if (isObj(tracer) && !(tracer instanceof Tracer))
     {
-      this.removeListeners(lsnr);
+      tracer = new Tracer(tracer);
     }
-
-    // Now look for any stateful event types and save the status.
-    for (let et of sti.eventTypes)
+    else if (!(tracer instanceof Tracer))
     {
-      let etd = this.typeDataFor.get(et);
-      if (etd?.stateful)
-      {
-        etd.status = sti;
-      }
+      tracer = null;
     }
 
-    // Return the final status.
-    return sti;
+    return this.tracer = tracer;
   }
 
   /**
-   * Set event type data properties.
+   * Start recording emits into a serializable log.
+   * 
+   * @param {object} [opts] Options; see
+   * {@link module:@lumjs/events.Recorder} for details.
+   * @returns {module:@lumjs/events.Recorder}
+   */
+  record(opts)
+  {
+    return new Recorder(this, opts);
+  }
+
+  /**
+   * Replay a log from a Recorder, emitting each of its entries.
+   * 
+   * The log may come from a different Registry (or a JSON file).
+   * Symbol event types are matched by description to symbols this
+   * Registry knows about (from `set()` or listeners), and any others
+   * use `Symbol.for()`. Each emit uses the options saved in the log;
+   * saved targets are looked up by their index in `getTargets()`.
+   * 
+   * @param {(module:@lumjs/events~EventLog|string)} log - The log,
+   * or a JSON string of it. An array of entries may also be used.
+   * @param {object} [opts] Options
+   * @param {boolean} [opts.realTime=false] Wait between emits for as long
+   * as the original emits were apart? If `false` they're emitted instantly.
+   * @param {number} [opts.speed=1] Playback speed with `realTime`;
+   * `2` waits half as long, `0.5` waits twice as long, etc.
+   * @param {boolean} [opts.async=false] Use `emitAsync()` and wait for
+   * each emit to finish before the next one?
+   * @param {function} [opts.deserialize] Passed the `args` from a log entry
+   * and the entry itself, must return an array of emit arguments.
+   * The default uses the `args` as is.
+   * @param {Iterable.<symbol>} [opts.symbols] Extra symbols to match
+   * symbol event types with.
+   * @param {module:@lumjs/events~Timers} [opts.timers] Timer functions
+   * for `realTime`; default uses the `timers` Registry option.
+   * @returns {Promise<Array>} Resolves to the return values of each emit
+   * once they're all done.
+   */
+  replayLog(log, opts)
+  {
+    return Recorder.replay(this, log, opts);
+  }
+
+  /**
+   * Connect to a message channel to share events with another Registry
+   * (usually in a different thread or process).
+   * 
+   * ```js
+   * // In the main thread.
+   * const worker = new Worker('./worker.js');
+   * const link = registry.connect(worker, {to: 'job', from: 'progress'});
+   * const res = await link.request('job', {id: 1}); // Wait for handlers.
+   * 
+   * // In worker.js
+   * registry.connect(parentPort, {to: 'progress', from: 'job'});
+   * ```
+   * 
+   * @param {object} channel - A `MessagePort`, `BroadcastChannel`,
+   * `Worker`, or `child_process` IPC channel.
+   * @param {object} [opts] Options; see
+   * {@link module:@lumjs/events.Transport} for details.
+   * @returns {module:@lumjs/events.Transport}
+   */
+  connect(channel, opts)
+  {
+    return new Transport(this, channel, opts);
+  }
+
+  /**
+   * Add a middleware function.
+   * 
+   * Every emit process runs through the middleware functions (in the order
+   * they were added) before anything is dispatched. Each one is called with
+   * the Registry as `this`, and passed the Status, a `next()` function,
+   * and for stateful replays, the new Listener (otherwise `null`).
+   * 
+   * ```js
+   * registry.use(function(status, next)
+   * {
+   *   if (!allowed(status.eventTypes)) return; // Cancel the emit.
+   *   status.args = status.args.map(normalize);
+   *   next(); // Dispatch (and run the rest of the middleware).
+   *   log(status.emitted.length); // This runs after dispatch.
+   * });
+   * ```
+   * 
+   * - A middleware may change `status.eventTypes` and `status.args`.
+   *   Any changes should be made before calling `next()`.
+   * - If a middleware doesn't call `next()`, the emit is canceled;
+   *   nothing is dispatched, and `status.canceled` will be `true`.
+   * - Any code after `next()` runs once everything has been dispatched.
+   * 
+   * With `emit()` the middleware must be synchronous. With `emitAsync()`
+   * the `next()` function returns a Promise, so the middleware may be an
+   * `async` function that uses `await next()`.
+   * 
+   * When a new listener is added to a stateful event type, each saved
+   * status that will be replayed to it runs through the middleware as well.
+   * Changes made to a saved status will affect any later replays too.
+   * 
+   * The `strict` and `validate` options are applied after the middleware.
+   * 
+   * @param {module:@lumjs/events~Middleware} middleware
+   * @returns {module:@lumjs/events.Registry} `this`
+   * @throws {TypeError} If `middleware` is not a function.
+   */
+  use(middleware)
+  {
+    if (typeof middleware !== F)
+    {
+      console.error({middleware, registry: this});
+      throw new TypeError("Middleware must be a function");
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Run the middleware functions for a Status.
+   * 
+   * Used by the emit methods and `add()`; not meant to be
+   * called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - Emit status
+   * @param {function} core - Called by the last `next()` to dispatch.
+   * @param {?module:@lumjs/events.Listener} [listener=null] Listener
+   * for stateful replays.
+   * @returns {*} The return value from the first middleware function
+   * (or `core` if there isn't any middleware).
+   */
+  runMiddleware(sti, core, listener=null)
+  {
+    const middleware = this.middleware.slice();
+
+    const step = i =>
+    {
+      if (i >= middleware.length)
+      {
+        return core();
+      }
+
+      let called = false;
+      const next = () =>
+      {
+        if (called)
+        {
+          throw new Error("next() called more than once");
+        }
+        called = true;
+        return step(i + 1);
+      }
+
+      return middleware[i].call(this, sti, next, listener);
+    }
+
+    return step(0);
+  }
+
+  /**
+   * Emit (trigger) one or more events.
+   * 
+   * @param {(string|symbol|Array|object)} eventTypes - Events to emit;
+   * see {@link module:@lumjs/events.Registry#getEventTypes} for details.
+   * 
+   * If this is an `object` that is NOT iterable, it will be used as an
+   * *emit spec*, and the `spec.eventTypes` (or `spec.eventNames` alias)
+   * property will become mandatory. Any other properties in the spec
+   * (or in a nested `spec.options` object) will be used as emit options
+   * for this call. See {@link module:@lumjs/events.Status} for details.
+   * 
+   * Besides overriding any of the regular event options, the following
+   * options are only supported in an emit spec:
+   * 
+   * - `target` (object) Emit to this target instead of `getTargets()`.
+   * - `targets` (Iterable) Emit to these targets instead of `getTargets()`.
+   * - `bubbles` (boolean) Override the TypeData `bubbles` property.
+   * - `cancelable` (boolean) Override the TypeData `cancelable` property.
+   * - `signal` (AbortSignal) Only used by `emitAsync()`.
+   * - `waterfall` (boolean) Use a waterfall emit;
+   *   see {@link module:@lumjs/events.Registry#waterfall}.
+   * 
+   * @param  {...any} [args] Event arguments.
+   * 
+   * If the *first* argument is an [Event]{@link module:@lumjs/events.Event} 
+   * object, then it is considered the previous Event in a chained event tree.
+   * See the documentation for the Event class for more details on that.
+   * 
+   * If the *first* argument is any other kind of `object`, it will be used
+   * as the `event.data` property. See Event docs for more details.
+   * 
+   * Once all handlers have been called, the default action for each
+   * of the event types will be called for each target, unless it was
+   * prevented by a handler; see {@link module:@lumjs/events.Registry#set}.
+   * 
+   * If called inside a `batch()` function, the emit will be queued,
+   * and dispatched once the function has finished. In that case there
+   * is no Status yet, so code that may be used in a batch must be ready
+   * for a `null` return value (the Status will be in the array returned
+   * by `batch()` instead).
+   * 
+   * @returns {?module:@lumjs/events.Status} Will be `null` if the emit
+   * was queued by `batch()`.
+   * @throws {*} Any errors thrown by handlers, unless the `catchErrors`
+   * option is enabled. See the Registry constructor for details.
+   */
+  emit(eventTypes, ...args)
+  {
+    if (this.batching)
+    { // Dispatch it when the batch is finished.
+      queueEmit(this, eventTypes, args);
+      return null;
+    }
+
+    return this.emitStatus(this.makeStatus(eventTypes, args));
+  }
+
+  /**
+   * Run the middleware, then call the handlers and default actions
+   * for a new Status.
+   * 
+   * Used by `emit()` and `waterfall()`; not meant to be
+   * called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - From `makeStatus()`
+   * @returns {module:@lumjs/events.Status} The finished status.
+   */
+  emitStatus(sti)
+  {
+    const tracer = this.tracer;
+    let ran = false;
+
+    tracer?.begin(sti);
+
+    try
+    {
+      this.runMiddleware(sti, () =>
+      {
+        ran = true;
+        this.validateStatus(sti);
+        this.initReducer(sti);
+        this.dispatchStatus(sti);
+      });
+
+      if (!ran)
+      { // A middleware function canceled it.
+        sti.canceled = true;
+      }
+    }
+    finally
+    {
+      tracer?.end(sti);
+    }
+
+    return sti;
+  }
+
+  /**
+   * Call the handlers and default actions, then finish the status.
+   * 
+   * Used by `emitStatus()`; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - Emit status
+   * @returns {module:@lumjs/events.Status} The finished status.
+   */
+  dispatchStatus(sti)
+  {
+    try
+    {
+      for (const event of this.dispatch(sti))
+      { // Handlers have already been called, so just reduce the result.
+        sti.addResult(event);
+      }
+      // The default actions are called as the generator is consumed.
+      Array.from(this.defaultActions(sti));
+    }
+    catch (err)
+    {
+      this.removeListeners(...sti.onceRemoved);
+      throw err;
+    }
+
+    return this.finishStatus(sti);
+  }
+
+  /**
+   * Queue every `emit()` call made by a function, and then dispatch
+   * them once the function has finished.
+   * 
+   * ```js
+   * const statuses = registry.batch(() =>
+   * {
+   *   registry.emit('change', {a: 1});
+   *   registry.emit('change', {b: 2});
+   * }, {merge: 'last'});
+   * ```
+   * 
+   * While the batch is running, `emit()` returns `null` instead of
+   * a Status. Only `emit()` is batched; `emitAsync()` and the waterfall
+   * methods need the results right away, so they dispatch immediately.
+   * Calling `batch()` again inside a batch just adds to the outer batch,
+   * and returns an empty array.
+   * 
+   * @param {function} fn - Function to call; `this` will be the Registry,
+   * which is also passed as the only argument.
+   * @param {object} [opts] Options
+   * @param {(boolean|string)} [opts.merge=false] Merge repeated emits?
+   * 
+   * Emits with the same set of event types will be merged into the first
+   * one (keeping its place in the queue), using the emit options from
+   * the last one. How the arguments are merged depends on the value:
+   * 
+   * - `'last'` (or `true`) uses the arguments from the last emit.
+   * - `'concat'` concatenates the arguments from every emit.
+   * - `false` does not merge at all; every emit is dispatched.
+   * 
+   * @returns {Array.<module:@lumjs/events.Status>} The Status from each
+   * dispatched emit, in the order they were queued.
+   * @throws {*} Anything thrown by `fn`, in which case the queue
+   * is discarded and nothing is dispatched.
+   */
+  batch(fn, opts={})
+  {
+    if (this.batching)
+    {
+      fn.call(this, this);
+      return [];
+    }
+
+    const merge = (opts.merge === true) ? 'last' : (opts.merge ?? false);
+    const queue = [];
+    this.batching = {merge, queue};
+
+    try
+    {
+      fn.call(this, this);
+    }
+    finally
+    {
+      this.batching = null;
+    }
+
+    return queue.map(item => this.emit(item.eventTypes, ...item.args));
+  }
+
+  /**
+   * Emit one or more events on the next microtask.
+   * 
+   * @param {(string|symbol|Array|object)} eventTypes - Events to emit;
+   * see {@link module:@lumjs/events.Registry#emit} for details.
+   * @param  {...any} [args] Event arguments.
+   * @returns {Promise<module:@lumjs/events.Status>} Resolves to the
+   * Status once the events have been emitted; will be rejected if
+   * `emit()` throws an error.
+   */
+  emitLater(eventTypes, ...args)
+  {
+    return Promise.resolve().then(() => this.emit(eventTypes, ...args));
+  }
+
+  /**
+   * Emit (trigger) one or more events, waiting for async handlers.
+   * 
+   * Works the same as `emit()`, except that if a handler returns a
+   * `Promise` (or any other *thenable* value), it will be awaited,
+   * and the resolved value will replace the `event.returnValue`.
+   * 
+   * The `status.process` properties are checked after each handler
+   * has been resolved, so they may be set from async handlers too.
+   * 
+   * If the `parallel` option is `true` for an event (see the Registry
+   * constructor for details), the handler's return value will not be
+   * awaited right away, and the next handler will be called immediately.
+   * All such return values will be awaited together at the end.
+   * 
+   * @param {(string|symbol|Array|object)} eventTypes - Events to emit;
+   * see {@link module:@lumjs/events.Registry#emit} for details.
+   * @param  {...any} [args] Event arguments.
+   * 
+   * Any default actions will be called once all of the handlers have
+   * been resolved, and their return values will be awaited as well.
+   * 
+   * If the `signal` emit option is set to an `AbortSignal`, and it is
+   * aborted before every handler has been resolved, no more handlers
+   * will be called, and the returned promise will be rejected.
+   * 
+   * @returns {Promise<module:@lumjs/events.Status>} Resolves to the
+   * final Status once every handler has been resolved; will be rejected
+   * with the reason of the first rejected handler (or the abort reason).
+   */
+  async emitAsync(eventTypes, ...args)
+  {
+    const sti = this.makeStatus(eventTypes, args);
+    const tracer = this.tracer;
+    let done = null;
+
+    tracer?.begin(sti);
+
+    try
+    {
+      await this.runMiddleware(sti, () => (done = this.emitStatusAsync(sti)));
+
+      if (!done)
+      { // A middleware function canceled it.
+        sti.canceled = true;
+        return sti;
+      }
+
+      return await done;
+    }
+    finally
+    {
+      tracer?.end(sti);
+    }
+  }
+
+  /**
+   * The async version of `emitStatus()`.
+   * 
+   * Used by `emitAsync()`; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - From `makeStatus()`
+   * @returns {Promise<module:@lumjs/events.Status>} The finished status.
+   */
+  async emitStatusAsync(sti)
+  {
+    this.validateStatus(sti);
+    this.initReducer(sti);
+    const signal = sti.options.signal;
+    const parallel = [], pending = [];
+
+    try
+    {
+      if (signal?.aborted)
+      {
+        throw abortReason(signal);
+      }
+
+      for (const event of this.dispatch(sti))
+      {
+        if (event.options.parallel && !sti.options.waterfall)
+        { // Handled below, but it may reject while we're awaiting others.
+          const promise = resolveEvent(event);
+          promise.catch(() => {});
+          parallel.push(promise);
+          pending.push(event);
+        }
+        else
+        {
+          await abortable(resolveEvent(event), signal);
+          sti.addResult(event);
+        }
+      }
+      const settled = await abortable(Promise.allSettled(parallel), signal);
+      const failed = settled.find(res => res.status === 'rejected');
+      if (failed)
+      { // The first rejection in handler order.
+        throw failed.reason;
+      }
+      pending.forEach(event => sti.addResult(event));
+
+      for (const result of this.defaultActions(sti))
+      {
+        await abortable(Promise.resolve(result), signal);
+      }
+    }
+    catch (err)
+    { 
+      if (!signal?.aborted)
+      { // Let any other handlers settle first.
+        await Promise.allSettled(parallel);
+      }
+      this.removeListeners(...sti.onceRemoved);
+      throw err;
+    }
+
+    return this.finishStatus(sti);
+  }
+
+  /**
+   * Emit one or more events as a waterfall (pipeline).
+   * 
+   * Each handler is passed the output of the previous handler as the
+   * `event.data` (and `event.args[0]`), and the `event.prevEvent` will be
+   * the event from the previous handler. The first handler is passed the
+   * `value` argument. If a handler returns `undefined`, the current value
+   * will be passed on unchanged.
+   * 
+   * This is the same as using `emit()` with the `waterfall` emit option,
+   * which uses the `waterfall` reducer (overriding the `reducer` option),
+   * so the final value will be in `status.result`.
+   * 
+   * @param {(string|symbol|Array|object)} eventTypes - Events to emit;
+   * see {@link module:@lumjs/events.Registry#emit} for details.
+   * @param {*} [value] The initial value.
+   * @param  {...any} [args] Any further event arguments; these are
+   * passed to every handler unchanged.
+   * @returns {*} The final value.
+   */
+  waterfall(eventTypes, ...args)
+  {
+    const sti = this.makeStatus(waterfallSpec(eventTypes), args);
+    return this.emitStatus(sti).result;
+  }
+
+  /**
+   * Emit one or more events as a waterfall, waiting for async handlers.
+   * 
+   * Works the same as `waterfall()`, except that it uses `emitAsync()`,
+   * so if a handler returns a `Promise` the resolved value will be passed
+   * to the next handler. The `parallel` option is ignored, as each handler
+   * needs the output of the previous one.
+   * 
+   * @param {(string|symbol|Array|object)} eventTypes - Events to emit;
+   * see {@link module:@lumjs/events.Registry#emitAsync} for details.
+   * @param {*} [value] The initial value.
+   * @param  {...any} [args] Any further event arguments.
+   * @returns {Promise} Resolves to the final value.
+   */
+  async waterfallAsync(eventTypes, ...args)
+  {
+    const sti = await this.emitAsync(waterfallSpec(eventTypes), ...args);
+    return sti.result;
+  }
+
+  /**
+   * Create a new Status instance for an emit process.
+   * 
+   * Used by `emit()` and `emitAsync()`; not meant to be
+   * called from outside code.
+   * @protected
+   * @param {(string|symbol|Array|object)} eventTypes - Events to emit
+   * @param {Array} args - Event arguments
+   * @returns {module:@lumjs/events.Status}
+   */
+  makeStatus(eventTypes, args)
+  {
+    const extOpts = this.options.extend;
+    const sti = new Status(this, eventTypes, args);
+    
+    if (extOpts.results)
+    {
+      this.extendInternal(sti);
+    }
+
+    { // Get the targets.
+      const opts = sti.options;
+      const tgs = (opts.target !== undefined) 
+        ? [opts.target]
+        : (opts.targets ?? this.getTargets(sti));
+      sti.targets = (tgs instanceof Set) ? tgs : new Set(tgs);
+      if (this.funTargets && extOpts.onDemand)
+      {
+        this.setupTargets(sti.targets);
+      }
+    }
+
+    return sti;
+  }
+
+  /**
+   * Get the reducer (if any) for an emit process, and the initial result.
+   * 
+   * Used right before dispatching (after the middleware);
+   * not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - Emit status
+   * @returns {void}
+   */
+  initReducer(sti)
+  {
+    let reducer = sti.options.waterfall 
+      ? reducers.waterfall 
+      : sti.options.reducer;
+    for (const et of sti.eventTypes)
+    {
+      if (reducer !== undefined) break;
+      reducer = this.typeDataFor.get(et)?.options.reducer;
+    }
+    if (reducer === undefined)
+    {
+      reducer = this.options.reducer;
+    }
+    if (reducer !== undefined && reducer !== null)
+    {
+      sti.reducer = reducers.getReducer(reducer);
+      sti.result = sti.reducer.init?.(sti);
+    }
+  }
+
+  /**
+   * Validate an emit process once the middleware is done with it.
+   * 
+   * If `status.eventTypes` was replaced by a middleware function with
+   * something other than a Set, it is parsed with `getEventTypes()`.
+   * Then the `strict` option is checked, and the arguments are checked
+   * against the `schema` of each event type that has one, adding any
+   * problems to `status.invalid`. What happens next depends on the
+   * `validate` option; see the Registry constructor.
+   * 
+   * Used right before dispatching; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - Emit status
+   * @returns {void}
+   * @throws {TypeError} If any event types are undeclared and the `strict`
+   * option is enabled, or if the arguments are invalid and the `validate`
+   * option is `'throw'`.
+   */
+  validateStatus(sti)
+  {
+    if (!(sti.eventTypes instanceof Set))
+    {
+      sti.eventTypes = this.getEventTypes(sti.eventTypes);
+    }
+    sti.eventNames = sti.eventTypes;
+
+    needDeclared(this, sti.eventTypes, 'emit');
+
+    for (const et of sti.eventTypes)
+    {
+      const td = this.typeDataFor.get(et);
+      if (!td?.schema) continue;
+
+      const errors = schema.check(td.schema, sti, et);
+      if (errors.length === 0) continue;
+
+      sti.invalid.push({type: et, errors});
+      const mode = sti.options.validate 
+        ?? td.options.validate 
+        ?? this.options.validate;
+
+      if (mode === 'warn')
+      {
+        console.warn(`Invalid arguments for event '${String(et)}'`, errors);
+      }
+      else if (mode !== 'record')
+      {
+        console.error({type: et, errors, status: sti});
+        throw new TypeError(`Invalid arguments for event '${String(et)}': `
+          + errors.join('; '));
+      }
+    }
+  }
+
+  /**
+   * Call the handlers for every matching listener, target, and event type.
+   * 
+   * Yields each Event right after its handler has been called, and
+   * checks the `status.process` properties when it is resumed.
+   * 
+   * Used by `emit()` and `emitAsync()`; not meant to be
+   * called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - Emit status
+   * @yields {module:@lumjs/events.Event}
+   */
+  *dispatch(sti)
+  {
+    const {CAPTURING_PHASE, AT_TARGET, BUBBLING_PHASE} = Event;
+    const bubbles = new Set();
+    for (const et of sti.eventTypes)
+    {
+      if (sti.options.bubbles ?? this.typeDataFor.get(et)?.bubbles)
+      {
+        bubbles.add(et);
+      }
+    }
+
+    emitTargets: for (const tg of sti.targets)
+    {
+      const path = this.getPath(tg);
+      const nodes = path.map(node => [node, CAPTURING_PHASE]).reverse();
+      nodes.push([tg, AT_TARGET]);
+      if (bubbles.size > 0)
+      {
+        nodes.push(...path.map(node => [node, BUBBLING_PHASE]));
+      }
+
+      const doneTypes = new Set();
+      sti.resetProcess();
+
+      emitNodes: for (const [node, phase] of nodes)
+      {
+        const called = sti.targetListeners = new Set();
+        sti.currentTarget = node;
+        sti.eventPhase = phase;
+
+        emitTypes: for (const et of sti.eventTypes)
+        {
+          if (doneTypes.has(et)
+            || (phase === BUBBLING_PHASE && !bubbles.has(et))) continue;
+          const listeners = this.getListeners(et, node);
+
+          emitListeners: for (const lsnr of listeners)
+          {
+            if ((phase === CAPTURING_PHASE && !lsnr.options.capture)
+              || (phase === BUBBLING_PHASE && lsnr.options.capture))
+            { // Wrong phase for this listener.
+              continue;
+            }
+
+            if ((sti.multiMatch || !called.has(lsnr)) && lsnr.canHandle(tg, node))
+            { // Let's emit an event!
+              const event = lsnr.emitEvent(et, tg, sti);
+              if (!event) continue; // Skipped by the filter.
+              called.add(lsnr);
+              sti.emitted.push(event);
+              yield event;
+
+              if (sti.process.doneEmitting)
+              {
+                break emitTargets;
+              }
+              if (sti.process.doneTarget)
+              {
+                break emitNodes;
+              }
+              if (sti.process.doneType)
+              {
+                sti.process.doneType = false;
+                doneTypes.add(et);
+                break emitListeners;
+              }
+            }
+          }
+        }
+
+        if (sti.process.donePropagation)
+        {
+          break;
+        }
+      }
+    }
+
+    sti.resetProcess();
+  }
+
+  /**
+   * Call the default actions for every event type and target.
+   * 
+   * Skips any event types without a `defaultAction` in their TypeData,
+   * and any target the default action was prevented for.
+   * 
+   * Used by `emit()` and `emitAsync()`; not meant to be
+   * called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - Emit status
+   * @yields {*} The return value from each default action.
+   */
+  *defaultActions(sti)
+  {
+    for (const et of sti.eventTypes)
+    {
+      const action = this.typeDataFor.get(et)?.defaultAction;
+      if (typeof action !== F) continue;
+
+      for (const tg of sti.targets)
+      {
+        if (!sti.isPrevented(et, tg))
+        {
+          yield action.call(this, tg, sti, et);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the ancestors of a target object.
+   * 
+   * Uses the `getParent` Registry option; if that option is not set,
+   * the returned array will always be empty.
+   * 
+   * @param {object} target - Target object
+   * @returns {Array} Ancestors, starting with the parent of `target`
+   * and ending with the root object.
+   */
+  getPath(target)
+  {
+    const path = [];
+    const getParent = this.options.getParent;
+
+    if (typeof getParent === F)
+    {
+      const seen = new Set([target]);
+      let node = getParent.call(this, target);
+      while (isObj(node) && !seen.has(node))
+      {
+        path.push(node);
+        seen.add(node);
+        node = getParent.call(this, node);
+      }
+    }
+
+    return path;
+  }
+
+  /**
+   * Get the listeners that will handle a specific event type.
+   * 
+   * This includes any listeners using a pattern (or the wildcard) that
+   * matches the type, and the returned array is sorted by the
+   * `listener.priority` (highest first), and then by `listener.order`
+   * (the order they were added in).
+   * 
+   * The results are cached until listeners are added or removed.
+   * 
+   * @param {(string|symbol)} type - Event type
+   * @param {object} [target] If specified, only include the listeners
+   * that may handle events for this target; listeners scoped to other
+   * targets (see the `target` listener option) will be skipped.
+   * 
+   * The per-target results are cached as well, but only for event types
+   * that actually have target-scoped listeners.
+   * 
+   * @returns {module:@lumjs/events.Listener[]}
+   */
+  getListeners(type, target)
+  {
+    let listeners = this.listenerCache.get(type);
+    if (!listeners)
+    {
+      const found = new Set(this.listenersFor.get(type));
+      for (const [et, test] of this.patterns)
+      {
+        if (et !== type && test(type))
+        {
+          for (const lsnr of this.listenersFor.get(et))
+          {
+            found.add(lsnr);
+          }
+        }
+      }
+
+      listeners = Array.from(found).sort(Listener.compare);
+      this.listenerCache.set(type, listeners);
+    }
+
+    if (target === undefined) return listeners;
+
+    let scoped = this.targetCache.get(type);
+    if (scoped === undefined)
+    { // Only index the types that have target-scoped listeners.
+      scoped = listeners.some(lsnr => lsnr.targetScope) ? new WeakMap() : null;
+      this.targetCache.set(type, scoped);
+    }
+    if (scoped === null) return listeners;
+
+    let forTarget = scoped.get(target);
+    if (!forTarget)
+    {
+      forTarget = listeners.filter(
+        lsnr => !lsnr.targetScope || lsnr.targetScope.has(target));
+      scoped.set(target, forTarget);
+    }
+    return forTarget;
+  }
+
+  /**
+   * Clear the `listenerCache` and `targetCache`.
+   * 
+   * Called whenever listeners are added or removed.
+   * @protected
+   * @returns {void}
+   */
+  clearCache()
+  {
+    this.listenerCache.clear();
+    this.targetCache.clear();
+  }
+
+  /**
+   * Finish an emit process.
+   * 
+   * Removes any `onceRemoved` listeners and saves the status
+   * for any stateful event types.
+   * 
+   * Used by `emit()` and `emitAsync()`; not meant to be
+   * called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} sti - Emit status
+   * @returns {module:@lumjs/events.Status} `sti`
+   */
+  finishStatus(sti)
+  {
+    // Nix the transient properties.
+    delete sti.targetListeners;
+    delete sti.currentTarget;
+    delete sti.eventPhase;
+
+    // Handle any `onceRemoved` listeners.
+    for (const lsnr of sti.onceRemoved)
+    {
+      this.removeListeners(lsnr);
+    }
+
+    // Now look for any stateful event types and save the status.
+    for (let et of sti.eventTypes)
+    {
+      this.typeDataFor.get(et)?.saveState(sti);
+    }
+
+    // Re-emit any caught errors.
+    this.emitErrors(sti.errors);
+
+    // Return the final status.
+    return sti;
+  }
+
+  /**
+   * Emit errors caught from handlers as `errorType` events.
+   * 
+   * Each error is emitted separately, with the error info object
+   * as the first argument (and thus the `event.data` property).
+   * Errors caught from `errorType` handlers are not re-emitted.
+   * 
+   * Used when the `catchErrors` option is enabled; 
+   * not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events~ErrorInfo[]} errors - Caught errors.
+   * @returns {void}
+   * @throws {*} The first error if there are no listeners for the
+   * `errorType` event type.
+   */
+  emitErrors(errors)
+  {
+    const et = this.options.errorType;
+    if (!et || errors.length === 0) return;
+
+    if (this.getListeners(et).length === 0)
+    { // Nobody is listening, so throw it like Node's EventEmitter.
+      throw errors[0].error;
+    }
+
+    for (const info of errors)
+    {
+      if (info.type !== et)
+      {
+        this.emit(et, info);
+      }
+    }
+  }
+
+  /**
+   * Set event type data properties.
    * 
    * This will create or update a {@link module:@lumjs/events.TypeData}
    * object instance for the specified event type.
@@ -742,16 +2236,42 @@ class LumEventRegistry
    * directly supported by this library. The key `'type'` is reserved
    * and will be ignored if found in the props.
    * 
+   * @param {boolean} [props.cancelable] Can the default action be prevented?
+   * 
+   * If this is true, handlers may call `event.preventDefault()` to stop the
+   * `defaultAction` from being called for the event's target.
+   * 
+   * @param {module:@lumjs/events~DefaultAction} [props.defaultAction]
+   * 
+   * If this is set, it will be called for every target once all of the
+   * handlers have been called, unless a handler prevented it.
+   * 
+   * @param {boolean} [props.bubbles] Should the event type bubble?
+   * 
+   * Only applicable if the Registry has a `getParent` option.
+   * See the Registry constructor for details.
+   * 
    * @param {number} [props.keepState] Number of items for stateful events.
    * 
    * The TypeData default is `0` which means the event type is NOT stateful.
+   * If this is greater than `0`, that many of the most recent emit statuses
+   * will be kept, and replayed to new listeners (see the `replay` option
+   * in {@link module:@lumjs/events.Registry#makeListener} for details).
    * 
    * @param {boolean} [props.stateful] Alternative to `keepState` property.
    * 
-   * If this is true, `keepState` will be set to `100`.
+   * If this is true, `keepState` will be set to `100`
+   * (unless it was already set to a positive number).
    * If this is false, `keepState` will be set to `0`.
    * If this is omitted, it does nothing.
    * 
+   * @param {(function|object)} [props.schema] Validate emit arguments.
+   * 
+   * Either a validator function or a schema descriptor for the `data`
+   * and positional `args`; see {@link module:@lumjs/events.schema.check}
+   * for details. The arguments are validated before anything is dispatched,
+   * and the `validate` option decides what happens if they're invalid.
+   * 
    * @param {object} [props.options] Extra event options for the type.
    * 
    * This will be applied using Object.assign() rather than overwriting
@@ -779,6 +2299,50 @@ class LumEventRegistry
     return this;
   }
 
+  /**
+   * Get the saved emit statuses for a stateful event type.
+   * 
+   * @param {(string|symbol)} type - Event type.
+   * @returns {module:@lumjs/events.Status[]} A copy of the saved statuses
+   * (oldest first); will be empty if the type has no saved statuses.
+   */
+  getState(type)
+  {
+    const etd = this.typeDataFor.get(type);
+    return etd ? etd.states.slice() : [];
+  }
+
+  /**
+   * Clear the saved emit statuses for stateful event types.
+   * 
+   * This does not change the `keepState` value, so the types will
+   * still be stateful, they'll simply start over with no history.
+   * 
+   * @param {...(string|symbol)} [types] Event types to clear.
+   * 
+   * If no types are specified, ALL event types will be cleared.
+   * 
+   * @returns {module:@lumjs/events.Registry} `this`
+   */
+  clearState(...types)
+  {
+    if (types.length === 0)
+    {
+      types = this.typeDataFor.keys();
+    }
+
+    for (const type of types)
+    {
+      const etd = this.typeDataFor.get(type);
+      if (etd)
+      {
+        etd.states.length = 0;
+      }
+    }
+
+    return this;
+  }
+
   /**
    * Register additional target objects
    * @param  {...object} addTargets - Target objects to register
@@ -895,19 +2459,78 @@ class LumEventRegistry
    * @param {(string|symbol|Iterable)} types - Event types source
    * 
    * If this is a string, it'll be passed to `splitNames()`.
-   * If it's a Symbol, it'll be wrapped in a Set.
+   * If it's a Symbol or RegExp, it'll be wrapped in a Set.
    * If it's any kind of Iterable value, it'll be converted to a Set.
    * 
+   * Any namespaces in event type strings will be removed.
+   * See `getNamespaces()` if you want those instead.
+   * 
    * @returns {Set}
    * @throws {TypeError} If `names` is not a valid value
    */
   getEventTypes(types)
+  {
+    types = this.getTypeSet(types);
+
+    if (this.options.namespace)
+    {
+      const found = new Set();
+      for (const et of types)
+      {
+        const [type] = this.splitNamespace(et);
+        if (type !== '')
+        {
+          found.add(type);
+        }
+      }
+      return found;
+    }
+
+    return types;
+  }
+
+  /**
+   * Get a Set of namespaces from various kinds of values
+   * @param {(string|symbol|Iterable)} types - Event types source;
+   * see `getEventTypes()` for details.
+   * @returns {Set.<string>} All namespaces found in `types`;
+   * will always be empty if the `namespace` option is `null`.
+   * @throws {TypeError} If `names` is not a valid value
+   */
+  getNamespaces(types)
+  {
+    const found = new Set();
+
+    if (this.options.namespace)
+    {
+      for (const et of this.getTypeSet(types))
+      {
+        const [, namespaces] = this.splitNamespace(et);
+        for (const ns of namespaces)
+        {
+          found.add(ns);
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Get a Set of event types without parsing namespaces.
+   * Used by `getEventTypes()` and `getNamespaces()`.
+   * @protected
+   * @param {(string|symbol|Iterable)} types - Event types source
+   * @returns {Set}
+   * @throws {TypeError} If `names` is not a valid value
+   */
+  getTypeSet(types)
   {
     if (typeof types === S)
     {
       return this.splitNames(types);
     }
-    else if (typeof types === SY)
+    else if (typeof types === SY || types instanceof RegExp)
     {
       return new Set([types]);
     }
@@ -926,6 +2549,29 @@ class LumEventRegistry
     }
   }
 
+  /**
+   * Split a single event type into the type and any namespaces.
+   * @param {(string|symbol)} type - Event type
+   * @returns {Array} A two item array: `[type, namespaces]`
+   * 
+   * If `type` is not a string, or the `namespace` option is `null`,
+   * then `type` will be returned as is, and `namespaces` will be empty.
+   * The same goes for event type patterns (unless the `patterns` option
+   * is disabled), so that patterns like `'job.**'` are never split.
+   */
+  splitNamespace(type)
+  {
+    const nsd = this.options.namespace;
+    if (typeof type !== S || !nsd
+      || (this.options.patterns && pattern.isPattern(type)))
+    {
+      return [type, []];
+    }
+
+    const [et, ...namespaces] = type.split(nsd);
+    return [et, namespaces.filter(ns => ns !== '')];
+  }
+
   /**
    * Split a (trimmed) string using `this.options.delimiter`
    * @param {string} names - String to split
@@ -0,0 +1,215 @@
+'use strict';
+
+const {S,F,N,isObj} = require('@lumjs/core/types');
+const Event = require('./event');
+
+/**
+ * Get the schema type name of a value.
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value)
+{
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === N && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema descriptor.
+ * 
+ * The descriptors are a small subset of JSON Schema,
+ * with a few extra types for JS values. Supported keywords:
+ * 
+ * - `type` (string or array of strings) One of `'string'`, `'number'`,
+ *   `'integer'`, `'boolean'`, `'object'`, `'array'`, `'null'`,
+ *   `'function'`, `'symbol'`, `'bigint'`, `'undefined'`, or `'any'`.
+ *   Integers are numbers too, and arrays are not objects.
+ * - `enum` (array) The value must be one of these.
+ * - `minimum`, `maximum` (number) Range for numbers.
+ * - `minLength`, `maxLength` (number) Length of strings and arrays.
+ * - `pattern` (string or RegExp) Strings must match this.
+ * - `properties` (object) Descriptors for object properties.
+ * - `required` (array) Object properties that must be defined.
+ * - `items` (object) A descriptor for every item of an array.
+ * 
+ * @param {object} schema - The schema descriptor.
+ * @param {*} value - The value to validate.
+ * @param {string} [path='value'] Name of the value for error messages.
+ * @returns {string[]} Error messages; empty if the value is valid.
+ * @alias module:@lumjs/events.schema.validate
+ */
+function validate(schema, value, path='value')
+{
+  const errors = [];
+  const vt = typeOf(value);
+
+  if (schema.type !== undefined && schema.type !== 'any')
+  {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = types.some(type => type === vt
+      || (type === 'number' && vt === 'integer'));
+    if (!ok)
+    {
+      errors.push(`${path} must be of type ${types.join('|')}, got ${vt}`);
+      return errors; // The rest of the checks would be meaningless.
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value))
+  {
+    errors.push(`${path} must be one of: ${schema.enum.map(String).join(', ')}`);
+  }
+
+  if (typeof value === N)
+  {
+    if (value < schema.minimum)
+    {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (value > schema.maximum)
+    {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === S || Array.isArray(value))
+  {
+    if (value.length < schema.minLength)
+    {
+      errors.push(`${path} length must be >= ${schema.minLength}`);
+    }
+    if (value.length > schema.maxLength)
+    {
+      errors.push(`${path} length must be <= ${schema.maxLength}`);
+    }
+  }
+
+  if (typeof value === S && schema.pattern !== undefined)
+  {
+    const re = (schema.pattern instanceof RegExp)
+      ? schema.pattern
+      : new RegExp(schema.pattern);
+    if (!re.test(value))
+    {
+      errors.push(`${path} must match ${re}`);
+    }
+  }
+
+  if (isObj(value) && !Array.isArray(value))
+  {
+    if (Array.isArray(schema.required))
+    {
+      for (const prop of schema.required)
+      {
+        if (value[prop] === undefined)
+        {
+          errors.push(`${path}.${prop} is required`);
+        }
+      }
+    }
+    if (isObj(schema.properties))
+    {
+      for (const prop in schema.properties)
+      {
+        if (value[prop] !== undefined)
+        {
+          errors.push(...validate(schema.properties[prop], value[prop],
+            `${path}.${prop}`));
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(value) && isObj(schema.items))
+  {
+    value.forEach((item, i) =>
+      errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the arguments of an emit process against an event type schema.
+ * 
+ * @param {(function|object)} schema - The `schema` from the TypeData.
+ * 
+ * If this is a function, it will be called (with the Registry as `this`)
+ * and passed the event arguments, the Status, and the event type.
+ * It must return `true` (or `undefined`) if the arguments are valid,
+ * or `false`, an error message, or an array of error messages if not.
+ * 
+ * If this is an object, it is a descriptor with these properties:
+ * 
+ * - `data` (object) A descriptor for the `event.data` object;
+ *   if this is used, the first argument must be an object.
+ * - `args` (object[]) A descriptor for each positional argument;
+ *   arguments are required unless their descriptor has `optional: true`.
+ * 
+ * See `validate()` for the supported descriptor keywords.
+ * 
+ * @param {module:@lumjs/events.Status} status - The emit status.
+ * @param {(string|symbol)} type - The event type.
+ * @returns {string[]} Error messages; empty if the arguments are valid.
+ * @alias module:@lumjs/events.schema.check
+ */
+function check(schema, status, type)
+{
+  const args = status.args;
+
+  if (typeof schema === F)
+  {
+    const res = schema.call(status.registry, args, status, type);
+    if (res === true || res === undefined) return [];
+    if (res === false) return ['arguments are invalid'];
+    return Array.isArray(res) ? res.map(String) : [String(res)];
+  }
+
+  const errors = [];
+
+  if (isObj(schema.data))
+  {
+    let data = args[0];
+    if (data instanceof Event)
+    { // A previous Event, so use its data.
+      data = data.data;
+    }
+    errors.push(...(isObj(data)
+      ? validate(schema.data, data, 'data')
+      : ['data must be an object']));
+  }
+
+  if (Array.isArray(schema.args))
+  {
+    schema.args.forEach((spec, i) =>
+    {
+      if (args[i] === undefined)
+      {
+        if (!spec.optional)
+        {
+          errors.push(`args[${i}] is required`);
+        }
+        return;
+      }
+      errors.push(...validate(spec, args[i], `args[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Event type schemas for argument validation.
+ * 
+ * Used by the Registry when a TypeData has a `schema` property;
+ * see {@link module:@lumjs/events.Registry#set} for details.
+ * 
+ * @namespace module:@lumjs/events.schema
+ */
+module.exports =
+{
+  validate, check,
+}
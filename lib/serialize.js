@@ -0,0 +1,138 @@
+'use strict';
+
+const {S,F,SY,isObj} = require('@lumjs/core/types');
+
+/**
+ * Convert a value into something that can be passed to `JSON.stringify()`.
+ * 
+ * - Objects with a `toJSON()` method use its return value. The method is
+ *   passed the `parents` set, so the `toJSON()` methods of the Status and
+ *   Event classes can keep looking for circular references.
+ * - `Error` objects become `{name, message}` objects.
+ * - `Set` objects become arrays, and `Map` objects become arrays
+ *   of `[key, value]` entries.
+ * - Symbols and bigints become strings; functions become `undefined`.
+ * - A reference back to an object that contains it (a circular reference)
+ *   becomes the string `'[Circular]'`. Other repeated references are fine.
+ * 
+ * @param {*} value - The value to convert.
+ * @param {Set} [parents] Used internally to find circular references.
+ * @returns {*} The converted value.
+ * @alias module:@lumjs/events.serialize.jsonSafe
+ */
+function jsonSafe(value, parents=new Set())
+{
+  if (typeof value === SY || typeof value === 'bigint') return String(value);
+  if (typeof value === F) return undefined;
+  if (!isObj(value)) return value;
+  if (parents.has(value)) return '[Circular]';
+
+  parents.add(value);
+  try
+  {
+    if (typeof value.toJSON === F)
+    {
+      const json = value.toJSON(parents);
+      return (json === value) ? json : jsonSafe(json, parents);
+    }
+    if (value instanceof Error)
+    {
+      return {name: value.name, message: value.message};
+    }
+    if (value instanceof Map)
+    {
+      return Array.from(value, ([k, v]) => [jsonSafe(k, parents), jsonSafe(v, parents)]);
+    }
+    if (value instanceof Set || Array.isArray(value))
+    {
+      return Array.from(value, v => jsonSafe(v, parents));
+    }
+
+    const json = {};
+    for (const key in value)
+    {
+      const v = jsonSafe(value[key], parents);
+      if (v !== undefined)
+      {
+        json[key] = v;
+      }
+    }
+    return json;
+  }
+  finally
+  {
+    parents.delete(value);
+  }
+}
+
+/**
+ * Convert an event type into a JSON value.
+ * 
+ * @param {(string|symbol)} type - The event type.
+ * @returns {(string|object)} Strings are returned as is; a symbol becomes
+ * an object with a `symbol` property set to its description.
+ * @alias module:@lumjs/events.serialize.typeToJSON
+ */
+function typeToJSON(type)
+{
+  return (typeof type === SY) ? {symbol: type.description ?? ''} : type;
+}
+
+/**
+ * Convert a JSON value from `typeToJSON()` back into an event type.
+ * 
+ * @param {(string|object)} json - The JSON value.
+ * @param {Map.<string,symbol>} [symbols] Known symbols by description;
+ * any symbol not in here will use `Symbol.for()`.
+ * @returns {(string|symbol)} The event type.
+ * @alias module:@lumjs/events.serialize.typeFromJSON
+ */
+function typeFromJSON(json, symbols)
+{
+  if (isObj(json) && typeof json.symbol === S)
+  {
+    return symbols?.get(json.symbol) ?? Symbol.for(json.symbol);
+  }
+  return json;
+}
+
+/**
+ * Get the symbol event types a Registry knows about, by description.
+ * 
+ * Includes the event types declared with `set()`, and the event types
+ * that have listeners. For use with `typeFromJSON()`.
+ * 
+ * @param {module:@lumjs/events.Registry} registry
+ * @param {Iterable.<symbol>} [extra] Extra symbols to include first;
+ * these take priority over symbols from the Registry.
+ * @returns {Map.<string,symbol>}
+ * @alias module:@lumjs/events.serialize.knownSymbols
+ */
+function knownSymbols(registry, extra=[])
+{
+  const symbols = new Map();
+  const add = type =>
+  {
+    if (typeof type === SY && !symbols.has(type.description))
+    {
+      symbols.set(type.description, type);
+    }
+  }
+  for (const type of extra) add(type);
+  for (const type of registry.typeDataFor.keys()) add(type);
+  for (const type of registry.listenersFor.keys()) add(type);
+  return symbols;
+}
+
+/**
+ * Helpers for serializing events and event logs.
+ * 
+ * Used by the `toJSON()` methods of the Status and Event classes,
+ * and by the Recorder and Transport classes.
+ * 
+ * @namespace module:@lumjs/events.serialize
+ */
+module.exports =
+{
+  jsonSafe, typeToJSON, typeFromJSON, knownSymbols,
+}
@@ -1,13 +1,28 @@
 'use strict';
 
+const {F,isObj,isIterable} = require('@lumjs/core/types');
 const Internal = require('./internal');
+const {jsonSafe, typeToJSON} = require('./serialize');
 
 const RES_PROPS = 
 [
-  'args', 'emitted', 'eventNames', 'eventTypes', 'multiMatch',
-  'onceRemoved', 'process', 'targetListeners',
+  'args', 'canceled', 'defaultPrevented', 'emitted', 'errors', 'eventNames', 
+  'eventTypes', 'invalid', 'multiMatch', 'onceRemoved', 'options', 'prevented', 
+  'process', 'reducer', 'result', 'targetListeners',
 ];
 
+const REMOVE_OPTS = ['eventTypes','eventNames','options'];
+
+function makeOpts(spec)
+{
+  const opts = Object.assign({}, spec, spec.options);
+  for (const rm of REMOVE_OPTS)
+  {
+    delete opts[rm];
+  }
+  return opts;
+}
+
 /**
  * Emit process status info
  * @alias module:@lumjs/events.Status
@@ -16,10 +31,35 @@ const RES_PROPS =
  * @prop {Set.<string>} eventNames - Alias of `eventTypes`
  * @prop {Set.<object>} targets - From registry.getTargets()
  * @prop {bool} multiMatch - `registry.options.multiMatch`
+ * @prop {object} options - Emit options for this specific call.
+ * 
+ * Only populated when an emit spec object was passed to `emit()`
+ * (or `emitAsync()`), otherwise it will be an empty object.
+ * These take priority over every other source of event options.
+ * 
  * @prop {Set} onceRemoved - Any `Listener` that had the `once` rule set;
  * will be removed from this registry at the end of the emit process.
  * @prop {module:@lumjs/events.Event[]} emitted - Emitted events;
  * added after each new Event is emitted from the Listener.
+ * @prop {boolean} canceled - Was the emit process canceled by a middleware
+ * function? See {@link module:@lumjs/events.Registry#use} for details.
+ * @prop {boolean} defaultPrevented - Was the default action prevented
+ * for any of the event types and targets? Similar to the DOM 
+ * `dispatchEvent()` method returning `false`.
+ * @prop {Map.<(string|symbol),Set.<object>>} prevented - For each event
+ * type that had its default action prevented, the set of targets it
+ * was prevented for.
+ * @prop {module:@lumjs/events~ErrorInfo[]} errors - Errors thrown by
+ * handlers; only used if the `catchErrors` option is enabled.
+ * @prop {object[]} invalid - Problems found when validating the arguments
+ * against the `schema` of each event type; each item has a `type` property
+ * (the event type), and an `errors` property (an array of messages).
+ * See the `validate` option of the Registry for details.
+ * @prop {?module:@lumjs/events.reducers~Reducer} reducer - The reducer
+ * for handler return values; will be `null` if the `reducer` option
+ * wasn't set. See {@link module:@lumjs/events.Registry} for details.
+ * @prop {*} result - The reduced handler return values; will be
+ * `undefined` if there is no `reducer`.
  * @prop {Set.<module:@lumjs/events.Listener>} [targetListeners]
  * A set of Listener instances that have already been seen for the
  * current target.
@@ -30,29 +70,52 @@ const RES_PROPS =
  * 
  * It's also NOT used when adding new listeners to stateful events.
  * 
+ * @prop {object} [currentTarget] The object the event is currently at;
+ * see the Registry `getParent` option for details.
+ * @prop {number} [eventPhase] The current event phase.
+ * 
+ * Like `targetListeners` these are only available while the status
+ * is being used to emit Event objects.
+ * 
  * @prop {object} process - Special processing instructions.
  * 
  * @prop {boolean} process.doneType - If set to true, no more
  * listeners for the current type on the current target will be
- * processed, and emit() will move on to the next type in the
- * current target (after resetting this to `false`).
+ * processed (at the `currentTarget` or any other object in the
+ * propagation path), and emit() will move on to the next type in
+ * the current target. It is reset to `false` right away, and the
+ * type is skipped for the rest of the current target.
  * 
- * Has no effect when adding new listeners to stateful events.
+ * See {@link module:@lumjs/events.Event#stopImmediatePropagation}.
  * 
  * @prop {boolean} process.doneTarget - If set to true, no more
  * listeners for the current target will be processed, and emit()
- * will move on to the next target (resetting this to `false`).
+ * will move on to the next target. It is reset to `false` for
+ * every target.
+ * 
+ * See {@link module:@lumjs/events.Event#stopTargetPropagation}.
+ * 
+ * @prop {boolean} process.donePropagation - If set to true, once all
+ * listeners for the current target at the `currentTarget` have been
+ * processed, emit() will stop propagating the event to other objects
+ * in the path, and move on to the next target.
+ * It is reset to `false` for every target.
+ * 
+ * See {@link module:@lumjs/events.Event#stopPropagation}.
  * 
  * @prop {boolean} process.doneEmitting - If set to true, emit() will
  * stop processing all further listeners regardless of target or type.
  * 
- * The usefulness of this one is questionable at best. I'd avoid it.
- * Unlike the other two, this will remain `true` when the emit() process
+ * Unlike the others, this will remain `true` when the emit() process
  * finishes. It will be reset to `false` if a new listener is added to
  * a stateful event type.
  * 
+ * See {@link module:@lumjs/events.Event#stopEmitting}.
  * This replaces the older `stopEmitting` Status property entirely.
  * 
+ * These all work the same way when new listeners are added to stateful
+ * event types, except there is only ever one listener being processed.
+ * 
  * @prop {module:@lumjs/events.Registry} registry 
  */
 class LumEventStatus extends Internal
@@ -61,12 +124,22 @@ class LumEventStatus extends Internal
    * Internal constructor
    * @private
    * @param {module:@lumjs/events.Registry} reg - Registry
-   * @param {mixed} ets - Event type(s)
+   * @param {mixed} ets - Event type(s) or an emit spec object
    * @param {array} args - Arguments passed to emit()
    */
   constructor(reg, ets, args)
   {
     super();
+
+    if (isObj(ets) && !isIterable(ets))
+    { // An emit spec object.
+      this.options = makeOpts(ets);
+      ets = ets.eventTypes ?? ets.eventNames;
+    }
+    else
+    {
+      this.options = {};
+    }
     
     this.eventNames = this.eventTypes = reg.getEventTypes(ets);
 
@@ -75,15 +148,42 @@ class LumEventStatus extends Internal
     this.multiMatch   = reg.options.multiMatch;
     this.onceRemoved  = new Set();
     this.emitted      = [];
+    this.errors       = [];
+    this.invalid      = [];
+    this.prevented    = new Map();
+    this.defaultPrevented = false;
+    this.canceled     = false;
+    this.reducer      = null;
+    this.result       = undefined;
 
     this.process =
     {
       doneType:     false,
       doneTarget:   false,
+      donePropagation: false,
       doneEmitting: false,
     }
   }
 
+  /**
+   * Reset the `process` properties for a new target.
+   * 
+   * Used by the Registry and Listener classes; not meant to be
+   * called from outside code.
+   * @protected
+   * @param {boolean} [all=false] Reset `doneEmitting` as well?
+   * @returns {void}
+   */
+  resetProcess(all=false)
+  {
+    const proc = this.process;
+    proc.doneType = proc.doneTarget = proc.donePropagation = false;
+    if (all)
+    {
+      proc.doneEmitting = false;
+    }
+  }
+
   /**
    * Get event type data.
    * @param {(string|symbol)} [type] Event type to get get data for.
@@ -118,6 +218,133 @@ class LumEventStatus extends Internal
     return reg.typeDataFor.get(et);
   }
 
+  /**
+   * Prevent the default action for an event type and target.
+   * @protected
+   * @param {(string|symbol)} type - Event type.
+   * @param {object} target - Target object.
+   * @returns {void}
+   */
+  prevent(type, target)
+  {
+    let targets = this.prevented.get(type);
+    if (!targets)
+    {
+      targets = new Set();
+      this.prevented.set(type, targets);
+    }
+    targets.add(target);
+    this.defaultPrevented = true;
+  }
+
+  /**
+   * Was the default action prevented for an event type and target?
+   * @param {(string|symbol)} type - Event type.
+   * @param {object} target - Target object.
+   * @returns {boolean}
+   */
+  isPrevented(type, target)
+  {
+    return this.prevented.get(type)?.has(target) ?? false;
+  }
+
+  /**
+   * Add the return value from a handler to the `result`.
+   * 
+   * Does nothing if there's no `reducer`, or the handler
+   * threw an error (which was caught by `catchErrors`).
+   * @protected
+   * @param {module:@lumjs/events.Event} event - The event that was handled.
+   * @returns {void}
+   */
+  addResult(event)
+  {
+    if (!this.reducer || this.errors.some(info => info.event === event))
+    {
+      return;
+    }
+    this.result = this.reducer.reduce(this.result, event.returnValue, event);
+  }
+
+  /**
+   * Add an error thrown by a handler.
+   * 
+   * Used when the `catchErrors` option is enabled, and will call the
+   * `onError` option (if it's set) with the error info.
+   * @protected
+   * @param {*} error - The value thrown (or rejected) by the handler.
+   * @param {module:@lumjs/events.Event} event - The event being handled.
+   * @returns {module:@lumjs/events~ErrorInfo}
+   */
+  addError(error, event)
+  {
+    const info = 
+    {
+      error,
+      event,
+      listener: event.eventListener,
+      target:   event.target,
+      type:     event.type,
+    }
+
+    this.errors.push(info);
+
+    if (typeof event.options.onError === F)
+    {
+      event.options.onError.call(this.registry, info, this);
+    }
+
+    return info;
+  }
+
+  /**
+   * Get a JSON representation of this status.
+   * 
+   * The `registry`, `reducer`, and `onceRemoved` properties are skipped,
+   * the `emitted` events use their own `toJSON()` method, and the
+   * `errors` skip their `event` and `listener` properties.
+   * Circular references in the values are replaced with `'[Circular]'`.
+   * See {@link module:@lumjs/events.serialize.jsonSafe} for details.
+   * 
+   * @param {Set} [parents] Used internally by `jsonSafe()`.
+   * @returns {object}
+   */
+  toJSON(parents)
+  {
+    if (!(parents instanceof Set))
+    { // Called by JSON.stringify(), so start with this as a parent.
+      return jsonSafe(this);
+    }
+
+    const types = (this.eventTypes instanceof Set) 
+      ? [...this.eventTypes] 
+      : [this.eventTypes];
+
+    return jsonSafe(
+    {
+      eventTypes: types.map(typeToJSON),
+      args: this.args,
+      options: this.options,
+      targets: this.targets,
+      emitted: this.emitted,
+      errors: this.errors.map(info => (
+      {
+        type: typeToJSON(info.type),
+        target: info.target,
+        error: info.error,
+      })),
+      invalid: this.invalid.map(info => (
+      {
+        type: typeToJSON(info.type),
+        errors: info.errors,
+      })),
+      defaultPrevented: this.defaultPrevented,
+      canceled: this.canceled,
+      result: this.result,
+      process: this.process,
+    }, parents);
+  }
+
   static get reservedProps()
   {
     return RES_PROPS;
@@ -0,0 +1,219 @@
+"use strict";
+
+const DEF_OPTIONS =
+{
+  bufferSize: Infinity,
+  overflow: 'dropOldest',
+}
+
+/**
+ * An async iterable stream of emitted events.
+ * 
+ * Built using a regular Listener, so every event emitted for the
+ * event types will be added to the stream until it's ended.
+ * 
+ * ```js
+ * for await (const event of registry.stream('progress', {end: 'done'}))
+ * {
+ *   console.log(event.data);
+ * }
+ * ```
+ * 
+ * @prop {module:@lumjs/events.Registry} registry - The Registry instance.
+ * @prop {object} options - Stream options (with defaults applied).
+ * @prop {module:@lumjs/events.Listener} listener - The listener that
+ * adds events to the stream.
+ * @prop {?module:@lumjs/events.Listener} endListener - The listener for
+ * the `end` event types; will be `null` if that option wasn't used.
+ * @prop {module:@lumjs/events.Event[]} buffer - Events that have not
+ * been consumed yet.
+ * @prop {Array} waiting - Pending `next()` calls waiting for events.
+ * @prop {boolean} done - Has the stream been ended?
+ * @prop {*} error - If the stream failed, this will be the error.
+ * 
+ * @alias module:@lumjs/events.Stream
+ */
+class LumEventStream
+{
+  /**
+   * Create a new event stream;
+   * use [Registry.stream()]{@link module:@lumjs/events.Registry#stream}
+   * rather than calling this directly.
+   * @protected
+   * @param {module:@lumjs/events.Registry} registry
+   * @param {(string|symbol|RegExp|Iterable)} types - Event types to stream.
+   * @param {object} [opts] Options
+   * 
+   * @param {number} [opts.bufferSize=Infinity] Max number of buffered events.
+   * 
+   * @param {string} [opts.overflow='dropOldest'] What to do when an event
+   * is emitted but the buffer is full:
+   * 
+   * - `'dropOldest'` removes the oldest buffered event to make room.
+   * - `'dropNewest'` discards the new event.
+   * - `'error'` ends the stream; once the buffered events have been
+   *   consumed, the next call to `next()` will be rejected.
+   * 
+   * @param {(string|symbol|Iterable)} [opts.end] Event type(s) that
+   * will end the stream (after any buffered events are consumed).
+   * 
+   * @param {(string|number|boolean)} [opts.replay] Replay saved statuses of
+   * stateful event types; see {@link module:@lumjs/events.Registry#makeListener}.
+   */
+  constructor(registry, types, opts={})
+  {
+    this.registry = registry;
+    this.options  = Object.assign({}, DEF_OPTIONS, opts);
+    this.buffer   = [];
+    this.waiting  = [];
+    this.done     = false;
+    this.error    = null;
+    this.endListener = null;
+
+    this.listener = registry.makeListener(types,
+      event => this.push(event),
+      {replay: opts.replay});
+
+    // If the listener is removed by anything else, end the stream.
+    this.listener.cleanup.add(() => this.end());
+    registry.add(this.listener);
+
+    if (opts.end !== undefined && !this.done)
+    {
+      this.endListener = registry.listen(opts.end, () => this.end());
+      if (this.done)
+      { // A stateful end type was replayed before we had the listener.
+        registry.removeListeners(this.endListener);
+      }
+    }
+  }
+
+  /**
+   * Add an event to the stream.
+   * 
+   * Used by the stream listener; not meant to be called directly.
+   * @protected
+   * @param {module:@lumjs/events.Event} event
+   * @returns {void}
+   */
+  push(event)
+  {
+    if (this.done) return;
+
+    if (this.waiting.length > 0)
+    { // Someone's already waiting.
+      this.waiting.shift().resolve({value: event, done: false});
+      return;
+    }
+
+    if (this.buffer.length >= this.options.bufferSize)
+    {
+      switch (this.options.overflow)
+      {
+        case 'dropNewest':
+          return;
+        case 'error':
+          this.error = new RangeError("Event stream buffer overflow");
+          this.end();
+          return;
+        default:
+          this.buffer.shift();
+      }
+    }
+
+    this.buffer.push(event);
+  }
+
+  /**
+   * End the stream and remove its listeners.
+   * 
+   * Any buffered events can still be consumed,
+   * after which the stream will be done.
+   * 
+   * @returns {void}
+   */
+  end()
+  {
+    if (this.done) return;
+    this.done = true;
+
+    const reg = this.registry;
+    reg.removeListeners(this.listener);
+    if (this.endListener)
+    {
+      reg.removeListeners(this.endListener);
+    }
+
+    for (const waiting of this.waiting)
+    {
+      this.settle(waiting);
+    }
+    this.waiting.length = 0;
+  }
+
+  /**
+   * Settle a `next()` call once there's no more buffered events.
+   * @private
+   * @param {object} waiting - The `resolve` and `reject` functions.
+   * @returns {void}
+   */
+  settle({resolve, reject})
+  {
+    if (this.error)
+    {
+      const err = this.error;
+      this.error = null; // Only reject once.
+      reject(err);
+    }
+    else
+    {
+      resolve({value: undefined, done: true});
+    }
+  }
+
+  /**
+   * Get the next event in the stream.
+   * @returns {Promise<object>} Resolves to an iterator result object.
+   */
+  next()
+  {
+    return new Promise((resolve, reject) =>
+    {
+      if (this.buffer.length > 0)
+      {
+        resolve({value: this.buffer.shift(), done: false});
+      }
+      else if (this.done)
+      {
+        this.settle({resolve, reject});
+      }
+      else
+      {
+        this.waiting.push({resolve, reject});
+      }
+    });
+  }
+
+  /**
+   * End the stream and discard any buffered events.
+   * 
+   * Called automatically if you `break` out of a `for await` loop.
+   * 
+   * @param {*} [value] Value for the iterator result.
+   * @returns {Promise<object>} Resolves to a done iterator result object.
+   */
+  async return(value)
+  {
+    this.buffer.length = 0;
+    this.error = null;
+    this.end();
+    return {value, done: true};
+  }
+
+  [Symbol.asyncIterator]()
+  {
+    return this;
+  }
+}
+
+module.exports = LumEventStream;
@@ -0,0 +1,403 @@
+"use strict";
+
+const {S,F,N,isObj} = require('@lumjs/core/types');
+
+/**
+ * Get a short label for a value in trace output.
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function label(value)
+{
+  if (typeof value === S) return value;
+  if (typeof value === F) return value.name || '(anonymous)';
+  if (isObj(value))
+  {
+    const name = value.id ?? value.name;
+    if (typeof name === S || typeof name === N) return String(name);
+    return value.constructor?.name ?? 'Object';
+  }
+  return String(value);
+}
+
+/**
+ * Get a label for the listener of a traced handler call.
+ * @private
+ * @param {module:@lumjs/events.Listener} listener
+ * @returns {string}
+ */
+function listenerLabel(listener)
+{
+  const handler = listener.handler;
+  const name = (typeof handler === F) ? handler.name : label(handler);
+  return name || `#${listener.order}`;
+}
+
+/**
+ * Format a duration in milliseconds.
+ * @private
+ * @param {number} ms
+ * @returns {string}
+ */
+const msec = ms => `${ms.toFixed(2)}ms`;
+
+/**
+ * A sink that keeps the most recent traces in memory.
+ * 
+ * @param {number} [size=100] The maximum number of traces to keep;
+ * the oldest are discarded first.
+ * @returns {object} The sink; its `traces` property is the array of
+ * traces (oldest first), and it has a `clear()` method.
+ * @alias module:@lumjs/events.Tracer.sinks.ring
+ */
+function ring(size=100)
+{
+  return {
+    size,
+    traces: [],
+    write(trace)
+    {
+      this.traces.push(trace);
+      if (this.traces.length > this.size)
+      {
+        this.traces.splice(0, this.traces.length - this.size);
+      }
+    },
+    clear()
+    {
+      this.traces.length = 0;
+    },
+  }
+}
+
+/**
+ * A sink that pretty-prints each trace.
+ * 
+ * @param {object} [opts] Options
+ * @param {object} [opts.logger=console] An object with a `log()` method.
+ * @returns {object} The sink.
+ * @alias module:@lumjs/events.Tracer.sinks.console
+ */
+function consoleSink(opts={})
+{
+  const logger = opts.logger ?? console;
+  return {
+    write(trace)
+    {
+      const types = trace.types.map(String).join(' ');
+      logger.log(`emit '${types}' ⇒ ${trace.targets.length} target(s),`
+        + ` ${trace.calls.length} call(s), ${msec(trace.duration)}`
+        + (trace.canceled ? ' (canceled)' : ''));
+      for (const call of trace.calls)
+      {
+        const result = (call.error !== undefined)
+          ? `✗ ${call.error}`
+          : `⇒ ${label(call.returnValue)}`;
+        logger.log(`  ${String(call.type)} @ ${label(call.target)}`
+          + ` [${listenerLabel(call.listener)}] ${msec(call.duration)} ${result}`);
+      }
+    },
+  }
+}
+
+/**
+ * A sink that adds entries to the Performance timeline.
+ * 
+ * Adds a mark and a measure for each emit, and a measure for each
+ * handler call. As entry details must be cloneable, their `detail`
+ * is a summary of the trace or call record (using labels and strings).
+ * This requires the tracer to use the same clock as the timeline,
+ * which is the default (`performance.now()`).
+ * 
+ * @param {object} [opts] Options
+ * @param {Performance} [opts.performance=globalThis.performance]
+ * The Performance object to use.
+ * @param {string} [opts.prefix='lum.events'] Prefix for entry names.
+ * @returns {object} The sink.
+ * @alias module:@lumjs/events.Tracer.sinks.performance
+ */
+function performanceSink(opts={})
+{
+  const perf = opts.performance ?? globalThis.performance;
+  const prefix = opts.prefix ?? 'lum.events';
+  return {
+    write(trace)
+    {
+      const types = trace.types.map(String);
+      const name = `${prefix}:${types.join(' ')}`;
+      const detail =
+      {
+        types,
+        targets: trace.targets.length,
+        calls: trace.calls.length,
+        canceled: trace.canceled,
+      }
+      perf.mark(name, {startTime: trace.start, detail});
+      perf.measure(name,
+        {start: trace.start, duration: trace.duration, detail});
+      for (const call of trace.calls)
+      {
+        const listener = listenerLabel(call.listener);
+        perf.measure(`${name}:${listener}`,
+        {
+          start: call.start, 
+          duration: call.duration, 
+          detail: 
+          {
+            type: String(call.type),
+            target: label(call.target),
+            listener,
+            error: (call.error === undefined) ? null : String(call.error),
+          },
+        });
+      }
+    },
+  }
+}
+
+/**
+ * Records what happens during emit processes.
+ * 
+ * Enable it with the `tracer` Registry option, or the
+ * {@link module:@lumjs/events.Registry#trace trace()} method.
+ * 
+ * For every `emit()` (or `emitAsync()`) a trace record is built,
+ * with a call record for every handler that was called.
+ * When the emit process is finished, the trace is written to
+ * each of the sinks.
+ * 
+ * Handler calls delayed by listener modifiers, and replays of stateful
+ * event types to new listeners, are not part of an emit and aren't traced.
+ * 
+ * @prop {Array} sinks - Each sink is either a function, or an object with
+ * a `write()` method; either is passed each finished trace.
+ * @prop {?number} slow - Handler calls that take longer than this many
+ * milliseconds are passed to `onSlow()`; `null` to disable.
+ * @prop {function} now - Returns the current time in milliseconds.
+ * @prop {function} onSlow - Called with a call record and its trace.
+ * @prop {WeakMap} traces - The traces for emit processes in progress.
+ * @prop {WeakMap} calls - Call records for async handlers that haven't
+ * been settled yet.
+ * 
+ * @alias module:@lumjs/events.Tracer
+ */
+class LumEventTracer
+{
+  /**
+   * Create a tracer.
+   * 
+   * @param {object} [opts] Options
+   * @param {Array} [opts.sinks] Sinks to write traces to; if omitted, a
+   * single `ring()` sink is used (see the `ring` property).
+   * @param {number} [opts.slow=null] The `slow` threshold.
+   * @param {function} [opts.onSlow] Custom slow handler function;
+   * the default logs a warning with `console.warn()`.
+   * @param {function} [opts.now] Clock function; default uses
+   * `performance.now()`.
+   */
+  constructor(opts={})
+  {
+    this.sinks = Array.isArray(opts.sinks) ? opts.sinks.slice() : [ring()];
+    this.slow = opts.slow ?? null;
+    this.now = opts.now ?? (() => performance.now());
+    this.onSlow = opts.onSlow ?? ((call, trace) =>
+      console.warn(`Slow handler for event '${String(call.type)}'`
+        + ` took ${msec(call.duration)}`, call.listener));
+    this.traces = new WeakMap();
+    this.calls = new WeakMap();
+  }
+
+  /**
+   * The first `ring()` sink (if there is one).
+   * 
+   * With the default sinks, this is where the recent traces are.
+   * @type {?object}
+   */
+  get ring()
+  {
+    return this.sinks.find(sink => Array.isArray(sink?.traces)) ?? null;
+  }
+
+  /**
+   * Start a trace for an emit process.
+   * 
+   * Used by the Registry; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} status
+   * @returns {module:@lumjs/events~Trace}
+   */
+  begin(status)
+  {
+    const trace =
+    {
+      types: [],
+      targets: [],
+      args: status.args,
+      start: this.now(),
+      duration: null,
+      calls: [],
+      errors: [],
+      canceled: false,
+      status,
+    }
+    this.traces.set(status, trace);
+    return trace;
+  }
+
+  /**
+   * Finish the trace for an emit process, and write it to the sinks.
+   * 
+   * Used by the Registry; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Status} status
+   * @returns {?module:@lumjs/events~Trace}
+   */
+  end(status)
+  {
+    const trace = this.traces.get(status);
+    if (!trace) return null;
+    this.traces.delete(status);
+
+    const types = status.eventTypes;
+    trace.types = (types instanceof Set) ? [...types] : [types];
+    trace.targets = [...(status.targets ?? [])];
+    trace.args = status.args;
+    trace.errors = status.errors.slice();
+    trace.canceled = status.canceled;
+    trace.duration = this.now() - trace.start;
+
+    if (typeof this.slow === N)
+    {
+      for (const call of trace.calls)
+      {
+        if (call.duration > this.slow)
+        {
+          this.onSlow(call, trace);
+        }
+      }
+    }
+
+    for (const sink of this.sinks)
+    {
+      if (typeof sink === F)
+      {
+        sink(trace);
+      }
+      else
+      {
+        sink.write(trace);
+      }
+    }
+
+    return trace;
+  }
+
+  /**
+   * Start recording a handler call.
+   * 
+   * Used by the Listener; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events.Event} event
+   * @returns {?module:@lumjs/events~TraceCall} Will be `null` if the
+   * event isn't part of a traced emit process.
+   */
+  callStart(event)
+  {
+    const trace = this.traces.get(event.status);
+    if (!trace) return null;
+
+    const call =
+    {
+      type: event.type,
+      target: event.target,
+      currentTarget: event.currentTarget,
+      phase: event.eventPhase,
+      listener: event.eventListener,
+      start: this.now(),
+      duration: null,
+      returnValue: undefined,
+      error: undefined,
+    }
+    trace.calls.push(call);
+    this.calls.set(event, call);
+    return call;
+  }
+
+  /**
+   * Finish recording a handler call.
+   * 
+   * Used by the Listener; not meant to be called from outside code.
+   * @protected
+   * @param {module:@lumjs/events~TraceCall} call
+   * @param {module:@lumjs/events.Event} event
+   * @returns {void}
+   */
+  callEnd(call, event)
+  {
+    call.duration = this.now() - call.start;
+    call.returnValue = event.returnValue;
+  }
+
+  /**
+   * Update a call record once an async handler has settled.
+   * 
+   * Used by `emitAsync()`; not meant to be called from outside code.
+   * The duration will include the time spent waiting.
+   * @protected
+   * @param {module:@lumjs/events.Event} event
+   * @param {*} [error] The rejection reason, if it was rejected.
+   * @returns {void}
+   */
+  settled(event, error)
+  {
+    const call = this.calls.get(event);
+    if (!call) return;
+    this.calls.delete(event);
+    this.callEnd(call, event);
+    if (error !== undefined)
+    {
+      call.error = error;
+    }
+  }
+}
+
+/**
+ * Built-in sinks for the Tracer.
+ * @namespace module:@lumjs/events.Tracer.sinks
+ */
+LumEventTracer.sinks =
+{
+  ring, console: consoleSink, performance: performanceSink,
+}
+
+module.exports = LumEventTracer;
+
+/**
+ * A trace of an emit process.
+ * @typedef {object} module:@lumjs/events~Trace
+ * @prop {Array} types - The event types that were emitted.
+ * @prop {object[]} targets - The targets.
+ * @prop {Array} args - The emit arguments.
+ * @prop {number} start - When the emit started (from `tracer.now()`).
+ * @prop {number} duration - How long the emit took, in milliseconds.
+ * @prop {module:@lumjs/events~TraceCall[]} calls - Handler calls.
+ * @prop {module:@lumjs/events~ErrorInfo[]} errors - Caught errors.
+ * @prop {boolean} canceled - Was it canceled by a middleware function?
+ * @prop {module:@lumjs/events.Status} status - The emit status.
+ */
+
+/**
+ * A handler call in a trace.
+ * @typedef {object} module:@lumjs/events~TraceCall
+ * @prop {(string|symbol)} type - The event type.
+ * @prop {object} target - The target.
+ * @prop {object} currentTarget - Where the event was in the target hierarchy.
+ * @prop {number} phase - The event phase.
+ * @prop {module:@lumjs/events.Listener} listener - The listener.
+ * @prop {number} start - When the handler was called.
+ * @prop {number} duration - How long the handler took, in milliseconds;
+ * for async handlers used with `emitAsync()`, until it settled.
+ * @prop {*} returnValue - The return value from the handler.
+ * @prop {*} error - Anything thrown by the handler; `undefined` if nothing.
+ */
@@ -0,0 +1,466 @@
+"use strict";
+
+const {F,N,isObj} = require('@lumjs/core/types');
+const {jsonSafe, typeToJSON, typeFromJSON, knownSymbols} = require('./serialize');
+
+// Messages without this property are not ours, and are ignored.
+const TAG = '@lumjs/events';
+
+const DEF_TIMERS =
+{
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: id => clearTimeout(id),
+}
+
+/**
+ * Get the functions to use a message channel.
+ * @private
+ * @param {object} channel
+ * @param {function} onMessage - Passed the message data.
+ * @param {function} onClose - Called if the channel is closed.
+ * @returns {object} An object with `post()` and `detach()` functions.
+ * @throws {TypeError} If `channel` isn't a supported object.
+ */
+function attach(channel, onMessage, onClose)
+{
+  let post, detach;
+
+  if (isObj(channel) && typeof channel.postMessage === F)
+  { // MessagePort, BroadcastChannel, Worker, etc.
+    post = msg => channel.postMessage(msg);
+    if (typeof channel.addEventListener === F)
+    {
+      const handler = ev => onMessage(ev.data);
+      channel.addEventListener('message', handler);
+      channel.addEventListener('close', onClose);
+      channel.start?.();
+      detach = () =>
+      {
+        channel.removeEventListener('message', handler);
+        channel.removeEventListener('close', onClose);
+      }
+    }
+    else
+    { // A Node Worker object.
+      channel.on('message', onMessage);
+      channel.on('exit', onClose);
+      detach = () =>
+      {
+        channel.off('message', onMessage);
+        channel.off('exit', onClose);
+      }
+    }
+  }
+  else if (isObj(channel) && typeof channel.send === F
+    && typeof channel.on === F)
+  { // A child_process IPC channel (a ChildProcess or `process`).
+    post = msg => channel.send(msg);
+    channel.on('message', onMessage);
+    channel.on('disconnect', onClose);
+    detach = () =>
+    {
+      channel.off('message', onMessage);
+      channel.off('disconnect', onClose);
+    }
+  }
+  else
+  {
+    console.error({channel});
+    throw new TypeError("Unsupported message channel");
+  }
+
+  return {post, detach};
+}
+
+/**
+ * Get an Error from a serialized error.
+ * @private
+ * @param {object} info - An object with `name` and `message` properties.
+ * @returns {Error}
+ */
+function makeError(info)
+{
+  const err = new Error(info?.message ?? String(info));
+  if (info?.name) err.name = info.name;
+  return err;
+}
+
+/**
+ * Connects a Registry to a message channel, so that registries
+ * in different threads (or processes) can act as one event bus.
+ * 
+ * Use {@link module:@lumjs/events.Registry#connect registry.connect()}
+ * to create one. Supported channels:
+ * 
+ * - A `MessagePort` (including `worker_threads.parentPort`).
+ * - A `BroadcastChannel`.
+ * - A `worker_threads.Worker`.
+ * - A `child_process` IPC channel (a `ChildProcess`, or `process`
+ *   in the child).
+ * 
+ * Events emitted in the Registry with one of the `to` event types are
+ * posted to the channel (once per emit for each type, no matter how many
+ * targets there are), and emitted in the Registry on the other side if
+ * they are one of its `from` event types. The arguments are cloned by
+ * the channel (structured clone, or JSON for `child_process` by default),
+ * so they must only contain values the channel can clone.
+ * Symbol event types are matched by description, see
+ * {@link module:@lumjs/events.serialize.typeFromJSON}.
+ * 
+ * Events received from the channel are emitted with the `source` emit
+ * option set to the Transport, and are not posted back to the channel,
+ * so it's safe to use the same event types in both directions.
+ * 
+ * Messages that weren't sent by a Transport are ignored, so the channel
+ * may be used for other messages too.
+ * 
+ * Errors thrown while emitting a received event can't be thrown to the
+ * other side, so they are passed to the `onError` option if it's set,
+ * or emitted as `errorType` events in the Registry otherwise (and logged
+ * with `console.error()` if nobody is listening for those).
+ * Errors from posting an event (such as a `DataCloneError`) don't stop
+ * the local emit; they are passed to the `onError` option if it's set,
+ * or added to the local Status with `status.addError()` otherwise
+ * (so they're handled like errors caught by the `catchErrors` option).
+ * 
+ * @prop {module:@lumjs/events.Registry} registry - The Registry.
+ * @prop {?object} channel - The current channel; `null` if disconnected.
+ * @prop {object} options - The options passed to the constructor.
+ * @prop {?Set} from - Event types accepted from the channel;
+ * `null` accepts every event type.
+ * @prop {Map.<number,object>} pending - Requests waiting for a response.
+ * @prop {?object} link - Functions used to post to and detach from
+ * the current channel; `null` if disconnected.
+ * @prop {?module:@lumjs/events.Listener} listener - The listener for the
+ * `to` event types; `null` if there isn't one.
+ * @prop {number} nextId - The id for the next request.
+ * @prop {module:@lumjs/events~Timers} timers - Timer functions
+ * for request timeouts.
+ * @prop {boolean} closed - Will be `true` once `close()` is called.
+ * 
+ * @alias module:@lumjs/events.Transport
+ */
+class LumEventTransport
+{
+  /**
+   * Create a transport; use `registry.connect()` instead of calling this.
+   * @protected
+   * @param {module:@lumjs/events.Registry} registry
+   * @param {object} channel - The message channel.
+   * @param {object} [opts] Options
+   * @param {(string|symbol|RegExp|Iterable)} [opts.to] Event types to post
+   * to the channel; see {@link module:@lumjs/events.Registry#makeListener}.
+   * If omitted, no events are posted (but `request()` may still be used).
+   * @param {(string|symbol|Iterable)} [opts.from] Event types to accept
+   * from the channel (including requests); patterns aren't supported here.
+   * If omitted, every event type is accepted.
+   * @param {object} [opts.emit] Extra emit options (e.g. `target`) to use
+   * when emitting events received from the channel.
+   * @param {object} [opts.listen] Listener options for the `to` listener.
+   * @param {number} [opts.timeout] Default timeout for `request()`,
+   * in milliseconds. If omitted, requests wait until they get a response
+   * or the transport is disconnected.
+   * @param {module:@lumjs/events~Timers} [opts.timers] Timer functions
+   * for the `timeout`; default uses the `timers` Registry option.
+   * @param {function} [opts.onError] Custom error handler; passed the
+   * error, the event type, and the local Event (if the error is from
+   * posting it), with the Transport as `this`.
+   */
+  constructor(registry, channel, opts={})
+  {
+    this.registry = registry;
+    this.options = opts;
+    this.channel = null;
+    this.link = null;
+    this.from = (opts.from === undefined)
+      ? null
+      : registry.getEventTypes(opts.from);
+    this.pending = new Map();
+    this.nextId = 1;
+    this.closed = false;
+    this.timers = Object.assign({}, DEF_TIMERS,
+      registry.options.timers, opts.timers);
+
+    this.listener = null;
+    if (opts.to !== undefined)
+    {
+      const sent = new WeakMap();
+      const transport = this;
+      this.listener = registry.listen(opts.to, function(event)
+      {
+        if (event.options.source === transport || !transport.channel) return;
+        let types = sent.get(event.status);
+        if (!types) sent.set(event.status, types = new Set());
+        if (types.has(event.type)) return; // Already sent for another target.
+        types.add(event.type);
+        try
+        {
+          transport.post({kind: 'emit', types: [typeToJSON(event.type)],
+            args: event.status.args});
+        }
+        catch (err)
+        { // Don't abort the local emit.
+          transport.handleError(err, event.type, event);
+        }
+      }, opts.listen);
+    }
+
+    this.connect(channel);
+  }
+
+  /**
+   * Is there a connected channel?
+   * @type {boolean}
+   */
+  get connected()
+  {
+    return this.channel !== null;
+  }
+
+  /**
+   * Connect to a channel.
+   * 
+   * If already connected to a channel, it will be disconnected first
+   * (see `disconnect()`), so this can be used to reconnect using a
+   * new channel. Events emitted while disconnected are not queued.
+   * 
+   * @param {object} channel - The message channel.
+   * @returns {module:@lumjs/events.Transport} `this`
+   * @throws {Error} If the transport has been closed.
+   * @throws {TypeError} If `channel` isn't a supported object.
+   */
+  connect(channel)
+  {
+    if (this.closed)
+    {
+      throw new Error("Transport is closed");
+    }
+
+    this.disconnect();
+    this.link = attach(channel,
+      msg => this.receive(msg),
+      () => this.disconnect());
+    this.channel = channel;
+    return this;
+  }
+
+  /**
+   * Disconnect from the current channel.
+   * 
+   * Stops listening to the channel (but doesn't close it), and rejects
+   * any pending requests. Does nothing if not connected.
+   * 
+   * @returns {module:@lumjs/events.Transport} `this`
+   */
+  disconnect()
+  {
+    if (this.link)
+    {
+      this.link.detach();
+      this.link = null;
+      this.channel = null;
+    }
+
+    for (const req of this.pending.values())
+    {
+      req.reject(new Error("Transport disconnected"));
+    }
+    this.pending.clear();
+
+    return this;
+  }
+
+  /**
+   * Disconnect, and stop listening for events in the Registry.
+   * 
+   * The transport can't be used again after this.
+   * @returns {void}
+   */
+  close()
+  {
+    this.disconnect();
+    if (this.listener)
+    {
+      this.registry.removeListeners(this.listener);
+      this.listener = null;
+    }
+    this.closed = true;
+  }
+
+  /**
+   * Post a message to the channel.
+   * 
+   * Used internally; not meant to be called from outside code.
+   * @protected
+   * @param {object} msg - The message.
+   * @returns {void}
+   * @throws {Error} If not connected.
+   */
+  post(msg)
+  {
+    if (!this.link)
+    {
+      throw new Error("Transport is not connected");
+    }
+    this.link.post(Object.assign({[TAG]: 1}, msg));
+  }
+
+  /**
+   * Emit one or more events on the other side of the channel,
+   * and wait for an acknowledgement.
+   * 
+   * The other side uses `emitAsync()`, so async handlers are awaited
+   * before it responds. The event types don't have to be in the `to`
+   * option, but must be accepted by the other side.
+   * 
+   * @param {(string|symbol|Iterable)} eventTypes - Event types to emit.
+   * @param {...any} args - Arguments; must be cloneable by the channel.
+   * @returns {Promise<module:@lumjs/events~TransportResponse>}
+   * Rejected if the other side doesn't accept the event types, if the
+   * emit fails, if the timeout is reached, or if the transport is
+   * disconnected before a response is received.
+   */
+  request(eventTypes, ...args)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      const id = this.nextId++;
+      const timeout = this.options.timeout;
+      let timer = null;
+
+      const done = fn => value =>
+      {
+        if (timer !== null) this.timers.clearTimeout(timer);
+        this.pending.delete(id);
+        fn(value);
+      }
+
+      const req = {resolve: done(resolve), reject: done(reject)};
+      const types = this.registry.getEventTypes(eventTypes);
+      this.post({kind: 'request', id, types: [...types].map(typeToJSON), args});
+      this.pending.set(id, req);
+
+      if (typeof timeout === N)
+      {
+        timer = this.timers.setTimeout(() => req.reject(
+          new Error(`Timed out after ${timeout}ms waiting for response`)),
+          timeout);
+      }
+    });
+  }
+
+  /**
+   * Handle an error that can't be thrown to the caller.
+   * 
+   * Used internally; not meant to be called from outside code.
+   * @protected
+   * @param {*} error - The error.
+   * @param {(string|symbol)} type - The event type.
+   * @param {?module:@lumjs/events.Event} [event=null] The local event,
+   * if the error is from posting it.
+   * @returns {void}
+   */
+  handleError(error, type, event=null)
+  {
+    if (typeof this.options.onError === F)
+    {
+      this.options.onError.call(this, error, type, event);
+      return;
+    }
+
+    if (event)
+    {
+      event.status.addError(error, event);
+      return;
+    }
+
+    try
+    {
+      this.registry.emitErrors(
+        [{error, type, target: null, event: null, listener: null}]);
+    }
+    catch (err)
+    { // Nobody is listening, and there's nobody to throw it to.
+      console.error(err);
+    }
+  }
+
+  /**
+   * Handle a message from the channel.
+   * 
+   * Used internally; not meant to be called from outside code.
+   * @protected
+   * @param {*} msg - The message data.
+   * @returns {void}
+   */
+  receive(msg)
+  {
+    if (!isObj(msg) || !msg[TAG]) return; // Not one of ours.
+
+    if (msg.kind === 'response')
+    {
+      const req = this.pending.get(msg.id);
+      if (!req) return; // Timed out, or sent before reconnecting.
+      if (msg.error)
+      {
+        req.reject(makeError(msg.error));
+      }
+      else
+      {
+        req.resolve({returnValues: msg.returnValues, result: msg.result});
+      }
+      return;
+    }
+
+    const reg = this.registry;
+    const symbols = knownSymbols(reg, this.from ?? []);
+    const types = msg.types.map(type => typeFromJSON(type, symbols));
+    const accepted = types.filter(type => !this.from || this.from.has(type));
+    const spec = Object.assign({}, this.options.emit,
+      {eventTypes: accepted, source: this});
+
+    if (msg.kind === 'emit')
+    {
+      if (!accepted.length) return;
+      try
+      {
+        reg.emit(spec, ...msg.args);
+      }
+      catch (err)
+      {
+        this.handleError(err, accepted[0]);
+      }
+    }
+    else if (msg.kind === 'request')
+    {
+      const respond = res => this.link
+        && this.post(Object.assign({kind: 'response', id: msg.id}, res));
+
+      if (accepted.length < types.length)
+      {
+        return respond({error: {name: 'TypeError', message:
+          `Event types not accepted: ${types.filter(t => !accepted.includes(t))
+            .map(String).join(', ')}`}});
+      }
+
+      reg.emitAsync(spec, ...msg.args).then(
+        status => respond(
+        {
+          returnValues: jsonSafe(status.emitted.map(e => e.returnValue)),
+          result: jsonSafe(status.result),
+        }),
+        err => respond({error: jsonSafe(err instanceof Error ? err : makeError(err))}));
+    }
+  }
+}
+
+module.exports = LumEventTransport;
+
+/**
+ * The response to a Transport request.
+ * @typedef {object} module:@lumjs/events~TransportResponse
+ * @prop {Array} returnValues - The return values of the handlers on the
+ * other side (converted with {@link module:@lumjs/events.serialize.jsonSafe}).
+ * @prop {*} result - The reduced result (see the `reducer` option)
+ * from the other side, if it had a reducer.
+ */
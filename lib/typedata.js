@@ -1,6 +1,18 @@
 'use strict';
 
-const {needObj} = require('@lumjs/core/types');
+const {N,needObj} = require('@lumjs/core/types');
+
+const DEF_KEEP = 100;
+
+// Remove the oldest states if there's more than `keepState`.
+function trimStates(td)
+{
+  const excess = td.states.length - td.keepState;
+  if (excess > 0)
+  {
+    td.states.splice(0, excess);
+  }
+}
 
 /**
  * Event type metadata and advanced options.
@@ -9,21 +21,53 @@ const {needObj} = require('@lumjs/core/types');
  * 
  * @prop {(string|symbol)} type - The event type the data is for (read-only).
  * 
+ * @prop {number} keepState - Max number of statuses to keep in `states`.
+ * 
+ * If this is greater than `0`, the event type is *stateful*, and when
+ * the event is emitted, the emit status will be saved in the `states`
+ * property. When new handlers are added, they will be emitted immediately
+ * using the arguments from one or more of the saved statuses.
+ * 
+ * Default is `0` which means the event type is NOT stateful.
+ * 
  * @prop {boolean} stateful - Is this a stateful event type?
  * 
- * If this is true, then when the event is emitted, the emit status will
- * be saved in the `state` property, and when new handlers are added,
- * they will be emitted immediately using the arguments from the previous
- * status. 
+ * This is an accessor property; setting it to `true` will set
+ * `keepState` to `100` (unless it was already set to a positive number),
+ * and setting it to `false` will set `keepState` to `0`.
  * 
- * @prop {(module:@lumjs/events.Status|undefined)} status
+ * @prop {module:@lumjs/events.Status[]} states - Saved emit statuses.
  * 
- * When a stateful event is emitted, the emit status object will be
- * saved here, then when new handlers are added to a stateful event type, 
- * they will be emitted immediately, using the saved emit status.
+ * The oldest statuses are removed once there are more than `keepState`.
+ * See {@link module:@lumjs/events.Registry#getState} and
+ * {@link module:@lumjs/events.Registry#clearState} for the public API.
  * 
+ * @prop {(module:@lumjs/events.Status|undefined)} status
+ * 
+ * The most recently saved emit status (read-only).
  * This property will be undefined if the type hasn't been emitted yet.
  * 
+ * @prop {boolean} cancelable - Can the default action be prevented?
+ * 
+ * See {@link module:@lumjs/events.Event#preventDefault}.
+ * Default is `false`.
+ * 
+ * @prop {?module:@lumjs/events~DefaultAction} defaultAction
+ * 
+ * If set, this will be called for each target after all of the handlers
+ * have been called, unless it was prevented. Default is `null`.
+ * 
+ * @prop {boolean} bubbles - Does this event type bubble?
+ * 
+ * Only applicable if the Registry has a `getParent` option, in which
+ * case events of this type will propagate back up through the ancestors
+ * of the target after the target itself. Default is `false`.
+ * 
+ * @prop {?(function|object)} schema - Validates the emit arguments.
+ * 
+ * See {@link module:@lumjs/events.Registry#set} for details.
+ * Default is `null` which means no validation.
+ * 
  * @prop {object} options - Event options for this type.
  * 
  * Designed for custom options that you may want to set.
@@ -34,8 +78,80 @@ class LumEventTypeData
   constructor(type)
   {
     Object.defineProperty(this, 'type', {value: type, enumerable: true});
-    this.options  = {};
-    this.stateful = false;
+    this.options   = {};
+    this.bubbles   = false;
+    this.cancelable = false;
+    this.defaultAction = null;
+    this.schema    = null;
+    this.keepState = 0;
+    this.states    = [];
+  }
+
+  get stateful()
+  {
+    return this.keepState > 0;
+  }
+
+  set stateful(value)
+  {
+    if (!value)
+    {
+      this.keepState = 0;
+    }
+    else if (!this.stateful)
+    {
+      this.keepState = DEF_KEEP;
+    }
+  }
+
+  get status()
+  {
+    return this.states[this.states.length-1];
+  }
+
+  /**
+   * Save an emit status (if this is a stateful event type).
+   * Used by [Registry.emit()]{@link module:@lumjs/events.Registry#emit}.
+   * @protected
+   * @param {module:@lumjs/events.Status} status - Status to save.
+   * @returns {boolean} If the status was saved.
+   */
+  saveState(status)
+  {
+    if (!this.stateful) return false;
+    this.states.push(status);
+    trimStates(this);
+    return true;
+  }
+
+  /**
+   * Get the saved emit statuses to replay for a new listener.
+   * Used by [Registry.add()]{@link module:@lumjs/events.Registry#add}.
+   * @protected
+   * @param {(string|number|boolean)} [replay='last'] How many to replay.
+   * 
+   * - `'all'` or `true` returns all saved statuses.
+   * - `'last'` returns only the most recent status.
+   * - A positive `number` returns up to that many of the most recent.
+   * - `'none'`, `false`, `0`, or any other value returns none.
+   * 
+   * @returns {module:@lumjs/events.Status[]} Oldest status first.
+   */
+  getReplay(replay='last')
+  {
+    if (replay === 'all' || replay === true)
+    {
+      return this.states.slice();
+    }
+    else if (replay === 'last')
+    {
+      return this.states.slice(-1);
+    }
+    else if (typeof replay === N && replay > 0)
+    {
+      return this.states.slice(-replay);
+    }
+    return [];
   }
 
   /**
@@ -60,7 +176,8 @@ class LumEventTypeData
       switch(key)
       {
         case 'type':
-          console.error("Cannot overwrite 'type'", log);
+        case 'status':
+          console.error(`Cannot overwrite '${key}'`, log);
           break;
         case 'options':
           Object.assign(this.options, props[key]);
@@ -69,6 +186,7 @@ class LumEventTypeData
           this[key] = props[key];
       }
     }
+    trimStates(this);
   }
 }
 
@@ -0,0 +1,66 @@
+// Tests for the adapters
+"use strict";
+
+const plan = 9;
+const t = require('@lumjs/tests').new({module, plan});
+const Ev = require('../lib/index');
+const {EventEmitter} = require('node:events');
+const {bridge, fromEmitter, fromEventTarget, toEventTarget} = Ev.adapters;
+
+{ // EventEmitter
+  const reg = Ev.register({});
+  const emitter = new EventEmitter();
+  const got = [];
+  const handle = bridge(reg, emitter, {from: 'in both', to: 'out both'});
+
+  reg.listen('in', e => got.push(e.args));
+  emitter.on('out', (...args) => got.push(args));
+  emitter.emit('in', 1, 2);
+  reg.emit('out', 3, 4);
+  t.isJSON(got, [[1,2],[3,4]], 'events forwarded in both directions');
+
+  let count = 0;
+  reg.listen('both', () => count++);
+  emitter.emit('both');
+  reg.emit('both');
+  t.is(count, 2, 'events not echoed back');
+
+  const regB = Ev.register({});
+  let gotB = 0;
+  fromEmitter(regB, emitter, 'out');
+  regB.listen('out', () => gotB++);
+  reg.emit('out');
+  t.is(gotB, 1, 'other registries get events forwarded to the emitter');
+
+  handle.detach();
+  t.is(emitter.listenerCount('in'), 0, 'emitter listeners detached');
+  t.is(reg.getListeners('out').length, 0, 'registry listeners detached');
+}
+
+{ // EventTarget
+  const reg = Ev.register({});
+  const et = new EventTarget();
+  const h1 = fromEventTarget(reg, et, 'ping');
+  const h2 = toEventTarget(reg, et, 'pong');
+  let data, detail;
+
+  reg.listen('ping', e => data = e.data);
+  et.addEventListener('pong', e => detail = e.detail);
+
+  et.dispatchEvent(new CustomEvent('ping', {detail: {n: 1}}));
+  t.isJSON(data, {n: 1}, 'CustomEvent.detail used as event.data');
+  reg.emit('pong', {n: 2});
+  t.isJSON(detail, {n: 2}, 'event.args[0] used as CustomEvent.detail');
+  
+  et.dispatchEvent(new Event('ping'));
+  t.isa(data, Event, 'DOM event used as event.data without detail');
+
+  h1.detach();
+  h2.detach();
+  data = null;
+  et.dispatchEvent(new Event('ping'));
+  t.is(data, null, 'EventTarget listeners detached');
+}
+
+// Finished
+t.done();
@@ -0,0 +1,60 @@
+// Tests for the EventEmitter facade
+"use strict";
+
+const plan = 14;
+const t = require('@lumjs/tests').new({module, plan});
+const Ev = require('../lib/index');
+
+const em = new Ev.Emitter();
+const log = [];
+const meta = [];
+
+em.on('newListener', (type) => meta.push(`+${type}`));
+em.on('removeListener', (type) => meta.push(`-${type}`));
+
+const a = (x, y) => log.push(`a${x}${y}`);
+const b = (x) => log.push(`b${x}`);
+em.on('ev', a);
+em.prependListener('ev', b);
+em.once('ev', (x) => log.push(`o${x}`));
+
+t.is(em.emit('ev', 1, 2), true, 'emit() returns true with listeners');
+t.isJSON(log, ['b1','a12','o1'], 'raw arguments and prepend order');
+t.is(em.listenerCount('ev'), 2, 'once listener removed');
+t.isJSON(meta, ['+removeListener','+ev','+ev','+ev','-ev'], 
+  'newListener and removeListener meta events');
+
+em.off('ev', a);
+t.isJSON(em.listeners('ev'), [b], 'off() removed listener');
+t.is(em.emit('nothing'), false, 'emit() returns false without listeners');
+
+let self;
+em.on('me', function() { self = this });
+em.emit('me');
+t.is(self, em, 'this is the emitter');
+
+t.dies(() => em.emit('error', new Error('oops')), 
+  "unhandled 'error' throws");
+em.on('error', () => {});
+t.lives(() => em.emit('error', new Error('oops')), 
+  "'error' with a listener does not throw");
+
+em.on('a:*', () => log.push('literal'));
+log.length = 0;
+em.emit('a:b');
+em.emit('a:*');
+t.isJSON(log, ['literal'], 'no pattern matching');
+
+log.length = 0;
+em.registry.batch(() =>
+{
+  t.is(em.emit('a:*', 1), true, 'emit() inside a batch() with listeners');
+  t.is(em.emit('none'), false, 'emit() inside a batch() without listeners');
+});
+
+t.is(em.setMaxListeners(1).getMaxListeners(), 1, 'setMaxListeners()');
+em.removeAllListeners();
+t.isJSON(em.eventNames(), [], 'removeAllListeners()');
+
+// Finished
+t.done();
@@ -1,7 +1,7 @@
 // Tests for events module
 "use strict";
 
-const plan = 28;
+const plan = 145;
 const t = require('@lumjs/tests').new({module, plan});
 const Ev = require('../lib/index');
 const {U,F,TYPES} = require('@lumjs/core/types');
@@ -58,13 +58,606 @@ obj1.emit('rename', TV.name4);
 t.is(obj1.name, TV.name4, 'obj1.name after second rename');
 t.is(obj2.name, TV.name4, 'obj2.name after second rename');
 
+t.isa(obj1.emitAsync, F, 'obj1.emitAsync() is a function');
+
+{ // Async handlers
+  const reg3 = Ev.register({});
+  const delay = (ms, v) => new Promise(r => setTimeout(() => r(v), ms));
+  const order = [];
+
+  reg3.listen('load', async e => { await delay(10); order.push('a'); return 1 });
+  reg3.listen('load', async e => { order.push('b'); return 2 });
+  reg3.listen('fail', async e => { throw new Error('nope') });
+
+  t.async(async function()
+  {
+    let s = await reg3.emitAsync('load');
+    t.isa(s, Ev.Status, 'emitAsync() resolves to a Status');
+    t.isJSON(s.emitted.map(e => e.returnValue), [1,2], 'returnValues resolved');
+    t.isJSON(order, ['a','b'], 'sequential dispatch order');
+
+    order.length = 0;
+    await reg3.emitAsync({eventTypes: 'load', parallel: true});
+    t.isJSON(order, ['b','a'], 'parallel dispatch order');
+
+    await reg3.emitAsync('fail').then(
+      () => t.fail('rejected handler'),
+      e  => t.is(e.message, 'nope', 'rejected handler'));
+
+    reg3.listen('mix', async e => { throw new Error('p') }, {parallel: true});
+    reg3.listen('mix', () => delay(30));
+    await reg3.emitAsync('mix').then(
+      () => t.fail('parallel rejection while awaiting sequential handler'),
+      e  => t.is(e.message, 'p', 
+        'parallel rejection while awaiting sequential handler'));
+  });
+}
+
+{ // Listener priority
+  const reg4 = Ev.register({});
+  const order = [];
+  reg4.listen('go', () => order.push('a'));
+  reg4.listen('*',  () => order.push('w'), {priority: 5});
+  reg4.listen('go', () => order.push('b'), {priority: 10});
+  reg4.listen('go', () => order.push('c'), {priority: 5});
+  reg4.listen('go', () => order.push('d'), {priority: -1});
+
+  reg4.emit('go');
+  t.isJSON(order, ['b','w','c','a','d'], 'listeners sorted by priority');
+
+  order.length = 0;
+  reg4.emit('other');
+  t.isJSON(order, ['w'], 'wildcard used for unhandled types');
+}
+
+{ // Stateful events
+  const reg5 = Ev.register({});
+  reg5.set('ready', {keepState: 2});
+  reg5.emit('ready', 1);
+  reg5.emit('ready', 2);
+  reg5.emit('ready', 3);
+
+  t.is(reg5.getState('ready').length, 2, 'getState() limited by keepState');
+
+  const seen = {};
+  const seeing = k => e => (seen[k] = seen[k] ?? []).push(e.args[0]);
+  reg5.listen('ready', seeing('last'));
+  reg5.listen('ready', seeing('all'), {replay: 'all'});
+  reg5.listen('ready', seeing('none'), {replay: 'none'});
+
+  t.isJSON(seen.last, [3], "replay 'last'");
+  t.isJSON(seen.all, [2,3], "replay 'all'");
+  t.is(seen.none, undefined, "replay 'none'");
+
+  const l5 = reg5.once('ready', seeing('once'), {replay: 'all'});
+  reg5.emit('ready', 4);
+  t.isJSON(seen.once, [2], 'once() only gets a single replay');
+  t.ok(!reg5.allListeners.has(l5), 'once() listener removed after replay');
+
+  reg5.clearState('ready');
+  t.is(reg5.getState('ready').length, 0, 'clearState()');
+  t.ok(reg5.typeDataFor.get('ready').stateful, 'still stateful after clear');
+}
+
+{ // Namespaces
+  const reg6 = Ev.register({}, {namespace: '.'});
+  const calls = [];
+  const l1 = reg6.listen('rename.plugA', () => calls.push('a1'));
+  reg6.listen('rename.plugB', () => calls.push('b1'));
+  reg6.listen('rename move.plugA', () => calls.push('a2'));
+
+  t.isJSON([...l1.eventTypes], ['rename'], 'namespace removed from type');
+  t.isJSON([...l1.namespaces], ['plugA'], 'listener namespaces');
+
+  reg6.emit('rename');
+  t.isJSON(calls, ['a1','b1','a2'], 'namespaces ignored by emit()');
+
+  calls.length = 0;
+  reg6.removeEvents('rename.plugA');
+  reg6.emit('rename move');
+  t.isJSON(calls, ['b1','a2'], "removeEvents('rename.plugA')");
+
+  calls.length = 0;
+  reg6.remove('.plugA');
+  reg6.emit('rename move');
+  t.isJSON(calls, ['b1'], "remove('.plugA')");
+
+  const reg6b = Ev.register({});
+  const l2 = reg6b.listen('job.start', () => calls.push('start'));
+  reg6b.emit('job.finish');
+  t.ok(l2.eventTypes.has('job.start') && !calls.includes('start'),
+    'namespaces disabled by default');
+}
+
+{ // Patterns
+  const reg7 = Ev.register({});
+  const names = [];
+  const seen = e => names.push(e.name);
+  const re = /^re-\d+$/;
+  reg7.listen('user:*', seen);
+  reg7.listen('job.**', seen);
+  reg7.listen('a/+/c', seen);
+  reg7.listen(re, seen);
+
+  reg7.emit('user:login user:login:failed');
+  t.isJSON(names, ['user:login'], "glob '*' matches one segment");
+  names.length = 0;
+  reg7.emit('job.step.done');
+  t.isJSON(names, ['job.step.done'], "glob '**' matches many segments");
+  names.length = 0;
+  reg7.emit('a/b/c');
+  reg7.emit('a/b/b/c');
+  t.isJSON(names, ['a/b/c'], "MQTT '+' pattern");
+  names.length = 0;
+  reg7.emit('re-42');
+  t.isJSON(names, ['re-42'], 'RegExp pattern');
+
+  names.length = 0;
+  reg7.remove(re);
+  reg7.emit('re-42');
+  t.is(names.length, 0, 'cache cleared after removal');
+
+  const reg7b = Ev.register({}, {namespace: '.'});
+  const l7 = reg7b.listen('job.** user:*.plugA', seen);
+  t.isJSON([...l7.eventTypes, ...l7.namespaces], ['job.**', 'user:*.plugA'],
+    'patterns not split into namespaces');
+}
+
+{ // Capture and bubble through a target hierarchy
+  const root = {id: 'root'};
+  const box  = {id: 'box', parent: root};
+  const btn  = {id: 'btn', parent: box};
+  const reg8 = Ev.register([root,box,btn], {getParent: t => t.parent});
+  reg8.set('click', {bubbles: true});
+
+  const path = [];
+  const seen = tag => e => path.push(`${tag}:${e.currentTarget.id}:${e.eventPhase}`);
+  reg8.listen('click focus', seen('c'), {capture: true});
+  reg8.listen('click focus', seen('b'));
+
+  reg8.emit({eventTypes: 'click', target: btn});
+  t.isJSON(path, 
+    ['c:root:1','c:box:1','c:btn:2','b:btn:2','b:box:3','b:root:3'],
+    'capture, target, and bubble phases');
+
+  path.length = 0;
+  reg8.emit({eventTypes: 'focus', target: btn});
+  t.isJSON(path, ['c:root:1','c:box:1','c:btn:2','b:btn:2'], 
+    'non-bubbling event type');
+
+  path.length = 0;
+  const stopper = reg8.listen('click', e => e.stopPropagation());
+  reg8.emit({eventTypes: 'click', target: btn});
+  t.isJSON(path, ['c:root:1','c:box:1','c:btn:2','b:btn:2'], 
+    'stopPropagation()');
+  reg8.remove(stopper);
+
+  path.length = 0;
+  reg8.emit({eventTypes: 'click', target: btn, bubbles: false});
+  t.is(path.length, 4, 'bubbles emit option');
+
+  path.length = 0;
+  reg8.listen('click', seen('s'), {target: box});
+  reg8.listen('click', seen('t'), {target: box, capture: true});
+  reg8.emit({eventTypes: 'click', target: btn});
+  t.isJSON(path.filter(p => /^[st]:/.test(p)), ['t:box:1','s:box:3'], 
+    'target scoping uses the currentTarget');
+}
+
+{ // AbortSignal support
+  const reg9 = Ev.register({});
+  const ac = new AbortController();
+  let count = 0;
+  reg9.listen('tick', () => count++, {signal: ac.signal});
+  reg9.emit('tick');
+  ac.abort();
+  reg9.emit('tick');
+  t.is(count, 1, 'listener removed when signal aborted');
+  reg9.listen('tick', () => count++, {signal: ac.signal});
+  t.is(reg9.allListeners.size, 0, 'listener with aborted signal not added');
+
+  const ac2 = new AbortController();
+  reg9.listen('slow', () => new Promise(r => setTimeout(r, 50)));
+  t.async(async function()
+  {
+    const p = reg9.emitAsync({eventTypes: 'slow', signal: ac2.signal});
+    ac2.abort(new Error('stop'));
+    await p.then(
+      () => t.fail('emitAsync() rejected on abort'),
+      e  => t.is(e.message, 'stop', 'emitAsync() rejected on abort'));
+    await reg9.emitAsync({eventTypes: 'slow', signal: ac2.signal}).then(
+      () => t.fail('emitAsync() with aborted signal'),
+      e  => t.is(e.message, 'stop', 'emitAsync() with aborted signal'));
+  });
+}
+
+{ // Handler error isolation
+  const hooked = [];
+  const reg10 = Ev.register({}, 
+  {
+    catchErrors: true, 
+    onError: info => hooked.push(info.type),
+  });
+  reg10.set('boom', {stateful: true});
+  let after = 0;
+  reg10.once('boom', () => { throw new Error('bang') });
+  reg10.listen('boom', () => after++);
+
+  t.dies(() => reg10.emit('boom'), 'throws with no error listeners');
+  t.is(after, 1, 'later handlers still called');
+  t.is(reg10.getState('boom').length, 1, 'stateful status saved');
+  t.is(reg10.getListeners('boom').length, 1, 'once listener removed');
+  t.isJSON(hooked, ['boom'], 'onError hook called');
+
+  const caught = [];
+  reg10.listen('error', e => caught.push(e.data.error.message));
+  reg10.clearState();
+  reg10.listen('boom', () => { throw new Error('again') });
+  const s = reg10.emit('boom');
+  t.is(s.errors.length, 1, 'status.errors');
+  t.isJSON(caught, ['again'], "re-emitted as 'error' event");
+
+  const wild = [];
+  const reg10b = Ev.register({}, {catchErrors: true});
+  reg10b.listen('*', e => 
+  { 
+    if (e.type === 'error') wild.push(e.data.error.message);
+    else throw new Error('wild');
+  });
+  reg10b.emit('boom');
+  t.isJSON(wild, ['wild'], "wildcard listeners get 'error' events");
+}
+
+{ // waitFor()
+  const reg11 = Ev.register({});
+  reg11.set('ready', {stateful: true});
+  reg11.emit('ready', {ok: true});
+
+  t.async(async function()
+  {
+    let e = await reg11.waitFor('ready');
+    t.is(e.data.ok, true, 'waitFor() stateful type resolved immediately');
+
+    const p = reg11.waitFor('num', {filter: e => e.args[0] > 1});
+    reg11.emit('num', 1);
+    reg11.emit('num', 2);
+    e = await p;
+    t.is(e.args[0], 2, 'waitFor() with filter');
+    t.is(reg11.getListeners('num').length, 0, 'waitFor() listener removed');
+
+    await reg11.waitFor('never', {timeout: 5}).then(
+      () => t.fail('waitFor() timeout'),
+      () => t.pass('waitFor() timeout'));
+
+    const ac = new AbortController();
+    const w = reg11.waitFor('never', {signal: ac.signal});
+    ac.abort();
+    await w.then(
+      () => t.fail('waitFor() aborted'),
+      () => t.pass('waitFor() aborted'));
+    t.is(reg11.getListeners('never').length, 0, 'listeners cleaned up');
+
+    // A fake signal to see if the abort listener is removed.
+    const abortListeners = new Set();
+    const signal = 
+    {
+      aborted: false,
+      addEventListener: (type, fn) => abortListeners.add(fn),
+      removeEventListener: (type, fn) => abortListeners.delete(fn),
+    }
+    const strict = Ev.register({}, {strict: true});
+    await strict.waitFor('nope', {signal, timeout: 60000}).then(
+      () => t.fail('waitFor() rejects if add() fails'),
+      () => t.is(abortListeners.size, 0, 'waitFor() cleans up if add() fails'));
+  });
+}
+
+{ // Cancelable events and default actions
+  const tg1 = {id: 1}, tg2 = {id: 2};
+  const reg12 = Ev.register([tg1, tg2]);
+  const acted = [];
+  reg12.set('submit', 
+  {
+    cancelable: true, 
+    defaultAction: tg => acted.push(tg.id),
+  });
+  reg12.set('plain', {defaultAction: tg => acted.push(tg.id)});
+
+  let s = reg12.emit('submit');
+  t.isJSON(acted, [1,2], 'default action called for each target');
+  t.is(s.defaultPrevented, false, 'status.defaultPrevented is false');
+
+  acted.length = 0;
+  reg12.listen('submit plain', e => 
+  {
+    if (e.target === tg1) e.preventDefault();
+    e.target.prevented = e.defaultPrevented;
+  });
+  s = reg12.emit('submit');
+  t.isJSON(acted, [2], 'preventDefault() skipped the default action');
+  t.is(s.defaultPrevented, true, 'status.defaultPrevented is true');
+  t.is(tg1.prevented, true, 'event.defaultPrevented');
+
+  acted.length = 0;
+  reg12.emit('plain');
+  t.isJSON(acted, [1,2], 'preventDefault() ignored if not cancelable');
+}
+
+{ // Propagation control methods
+  const tg1 = {id: 1}, tg2 = {id: 2};
+  const reg13 = Ev.register([tg1, tg2], {multiMatch: true});
+  const seen = [];
+  const log = tag => e => seen.push(`${tag}:${e.type}:${e.target.id}`);
+  reg13.listen('a b', log('x'));
+  const stopper = reg13.listen('a b', e => 
+  {
+    log('y')(e);
+    if (e.type === 'a' && e.target === tg1) e.stopImmediatePropagation();
+  });
+  reg13.listen('a b', log('z'));
+
+  reg13.emit('a b');
+  t.isJSON(seen, 
+    ['x:a:1','y:a:1','x:b:1','y:b:1','z:b:1',
+     'x:a:2','y:a:2','z:a:2','x:b:2','y:b:2','z:b:2'],
+    'stopImmediatePropagation()');
+
+  reg13.remove(stopper);
+  seen.length = 0;
+  reg13.listen('a', e => e.stopTargetPropagation());
+  reg13.emit('a b');
+  t.isJSON(seen, ['x:a:1','z:a:1','x:a:2','z:a:2'], 
+    'stopTargetPropagation()');
+
+  seen.length = 0;
+  reg13.listen('b', e => e.stopEmitting());
+  reg13.set('b', {stateful: true});
+  let s = reg13.emit('b');
+  t.isJSON(seen, ['x:b:1','z:b:1'], 'stopEmitting()');
+  t.isJSON(s.process, 
+    {doneType: false, doneTarget: false, 
+     donePropagation: false, doneEmitting: true},
+    'only doneEmitting kept when finished');
+
+  seen.length = 0;
+  reg13.listen('b', e => 
+  {
+    log('w')(e);
+    e.stopTargetPropagation();
+  });
+  t.isJSON(seen, ['w:b:1','w:b:2'], 'stateful replay resets process');
+}
+
+{ // Result reducers
+  const reg14 = Ev.register({});
+  let calls = 0;
+  reg14.listen('ask', () => { calls++; return undefined });
+  reg14.listen('ask', () => { calls++; return {a: 1} });
+  reg14.listen('ask', () => { calls++; return {b: 2} });
+
+  t.is(reg14.emit('ask').result, undefined, 'no reducer, no result');
+  t.is(reg14.emit({eventTypes: 'ask', reducer: 'all'}).result.length, 3, 
+    "'all' reducer");
+  calls = 0;
+  t.isJSON(reg14.emit({eventTypes: 'ask', reducer: 'first'}).result, {a: 1},
+    "'first' reducer");
+  t.is(calls, 2, "'first' reducer short-circuits");
+  t.isJSON(reg14.emit({eventTypes: 'ask', reducer: 'merge'}).result, 
+    {a: 1, b: 2}, "'merge' reducer");
+  t.is(reg14.emit({eventTypes: 'ask', reducer: 'every'}).result, false,
+    "'every' reducer");
+
+  reg14.set('ask', {options: {reducer: 'some'}});
+  t.is(reg14.emit('ask').result, true, 'per-type reducer');
+  t.is(reg14.emit({eventTypes: 'ask', reducer: (r=0, v) => r + (v ? 1 : 0)})
+    .result, 2, 'custom reduce function');
+
+  t.async(async function()
+  {
+    reg14.listen('ask', () => Promise.resolve({c: 3}));
+    const s = await reg14.emitAsync({eventTypes: 'ask', reducer: 'merge'});
+    t.isJSON(s.result, {a: 1, b: 2, c: 3}, 'emitAsync() reduces resolved values');
+  });
+}
+
+{ // Waterfall emits
+  const reg15 = Ev.register({});
+  reg15.listen('filter', e => e.data + 1);
+  reg15.listen('filter', e => undefined);
+  reg15.listen('filter', e => 
+  {
+    t.is(e.prevEvent.origEvent, e.origEvent, 'waterfall event chain');
+    return e.data * e.args[1];
+  });
+
+  t.is(reg15.waterfall('filter', 1, 10), 20, 'waterfall()');
+  t.is(reg15.waterfall('nothing', 5), 5, 'waterfall() without handlers');
+
+  t.async(async function()
+  {
+    reg15.listen('filter', e => Promise.resolve(`${e.data}!`), {parallel: true});
+    const v = await reg15.waterfallAsync('filter', 2, 3);
+    t.is(v, '9!', 'waterfallAsync()');
+  });
+}
+
+{ // Listener lifetime options
+  const tg1 = {id: 1}, tg2 = {id: 2}, tg3 = {id: 3};
+  const reg16 = Ev.register([tg1, tg2, tg3]);
+  const seen = [];
+
+  const twice = reg16.listen('tick', e => seen.push(e.target.id), {times: 2});
+  reg16.emit('tick');
+  t.isJSON(seen, [1,2], 'times option limits calls');
+  t.is(twice.calls, 2, 'listener.calls');
+  t.is(reg16.getListeners('tick').length, 0, 'times listener removed');
+
+  seen.length = 0;
+  reg16.listen('tock', e => seen.push(e.args[0]), 
+    {until: e => e.args[0] === 'stop'});
+  reg16.emit({eventTypes: 'tock', target: tg1}, 'go');
+  reg16.emit({eventTypes: 'tock', target: tg1}, 'stop');
+  reg16.emit({eventTypes: 'tock', target: tg1}, 'again');
+  t.isJSON(seen, ['go','stop'], 'until option');
+
+  seen.length = 0;
+  reg16.listen('tap', e => seen.push(e.target.id), {oncePerTarget: true});
+  reg16.emit({eventTypes: 'tap', target: tg2});
+  reg16.emit({eventTypes: 'tap', target: tg2});
+  t.is(reg16.getListeners('tap').length, 1, 'oncePerTarget kept listener');
+  reg16.emit('tap');
+  t.isJSON(seen, [2,1,3], 'oncePerTarget option');
+  t.is(reg16.getListeners('tap').length, 0, 
+    'oncePerTarget listener removed after every target');
+}
+
+{ // Listener filters and target scoping
+  const tg1 = {id: 1}, tg2 = {id: 2}, tg3 = {id: 3};
+  const reg17 = Ev.register([tg1, tg2, tg3]);
+  const seen = [];
+  reg17.listen('hit', e => seen.push(`a${e.target.id}`), {target: tg2});
+  reg17.listen('hit', e => seen.push(`b${e.target.id}`), {targets: [tg1, tg3]});
+  reg17.listen('hit', e => seen.push(`c${e.target.id}`), 
+    {filter: e => e.args[0] === e.target.id});
+
+  const s = reg17.emit('hit', 3);
+  t.isJSON(seen, ['b1','a2','b3','c3'], 'target, targets, and filter options');
+  t.is(s.emitted.length, 4, 'filtered events not emitted');
+  t.is(reg17.getListeners('hit', tg2).length, 2, 'getListeners() with target');
+  t.is(reg17.getListeners('hit').length, 3, 'getListeners() without target');
+}
+
+{ // Batched and deferred emission
+  const reg18 = Ev.register({});
+  const seen = [];
+  reg18.listen('change', e => seen.push(e.args));
+
+  let statuses = reg18.batch(() =>
+  {
+    t.is(reg18.emit('change', 1), null, 'emit() queued in batch()');
+    reg18.emit('change', 2);
+    t.is(seen.length, 0, 'nothing dispatched until batch finishes');
+  });
+  t.is(statuses.length, 2, 'batch() returns a status for each emit');
+  t.isJSON(seen, [[1],[2]], 'batch() dispatched the queued emits');
+
+  seen.length = 0;
+  reg18.batch(() => { reg18.emit('change', 1); reg18.emit('change', 2) }, 
+    {merge: 'last'});
+  reg18.batch(() => { reg18.emit('change', 1); reg18.emit('change', 2) }, 
+    {merge: 'concat'});
+  t.isJSON(seen, [[2],[1,2]], 'batch() merge options');
+
+  seen.length = 0;
+  t.dies(() => reg18.batch(() => 
+  {
+    reg18.emit('change', 1);
+    throw new Error('nope');
+  }), 'batch() throws errors from fn');
+  t.is(seen.length, 0, 'queue discarded if fn throws');
+
+  t.async(async function()
+  {
+    const p = reg18.emitLater('change', 'later');
+    t.is(seen.length, 0, 'emitLater() is not dispatched right away');
+    const s = await p;
+    t.isJSON(s.emitted[0].args, ['later'], 'emitLater() resolves to status');
+  });
+}
+
+{ // Event type schemas and validation
+  const reg19 = Ev.register({}, {strict: true});
+  reg19.set('save', 
+  {
+    schema: 
+    {
+      data: {type: 'object', required: ['id'], 
+        properties: {id: {type: 'integer', minimum: 1}}},
+      args: [{}, {type: 'string', enum: ['now','later'], optional: true}],
+    },
+  });
+  reg19.set('ping', {schema: (args) => args.length === 0 || 'no args allowed'});
+  let saved = 0;
+  reg19.listen('save', () => saved++);
+
+  reg19.emit('save', {id: 1}, 'now');
+  t.is(saved, 1, 'valid arguments dispatched');
+  t.dies(() => reg19.emit('save', {id: 0}), 'invalid arguments throw');
+  t.is(saved, 1, 'nothing dispatched for invalid arguments');
+
+  const s = reg19.emit({eventTypes: 'save', validate: 'record'}, {}, 'soon');
+  t.isJSON(s.invalid[0].errors, 
+    ['data.id is required', 'args[1] must be one of: now, later'], 
+    "'record' validate mode");
+  t.is(saved, 2, "'record' mode still dispatched");
+
+  t.isJSON(reg19.emit({eventTypes: 'ping', validate: 'record'}, 1)
+    .invalid[0].errors, ['no args allowed'], 'validator function');
+
+  t.dies(() => reg19.emit('nope'), 'strict option rejects undeclared emit');
+  t.dies(() => reg19.listen('nope', () => {}), 
+    'strict option rejects undeclared listen');
+  t.lives(() => reg19.listen('*', () => {}), 'wildcard allowed when strict');
+}
+
+{ // Middleware
+  const reg20 = Ev.register({});
+  const seen = [];
+  const log = [];
+  reg20.listen('a', e => seen.push('a:'+e.args[0]));
+  reg20.listen('b', e => seen.push('b:'+e.args[0]));
+  reg20.set('ready', {stateful: true});
+
+  t.is(reg20.use(function(status, next, listener)
+  {
+    if (status.args[0] === 'block') return;
+    if (status.args[0] === 'rename') status.eventTypes = 'b';
+    status.args = status.args.map(v => (typeof v === 'string')
+      ? v.toUpperCase() : v);
+    log.push(listener ? 'replay' : 'before');
+    next();
+    log.push('after:'+status.emitted.length);
+  }), reg20, 'use() returns registry');
+
+  reg20.emit('a', 'x');
+  t.isJSON(seen, ['a:X'], 'middleware changes args');
+  t.isJSON(log, ['before','after:1'], 'middleware runs before and after');
+
+  const s = reg20.emit('a', 'block');
+  t.is(s.canceled, true, 'middleware cancels emit');
+  t.is(s.emitted.length, 0, 'canceled emit not dispatched');
+
+  reg20.emit('a', 'rename');
+  t.isJSON(seen, ['a:X','b:RENAME'], 'middleware changes eventTypes');
+
+  reg20.emit('ready', 'r');
+  log.length = 0;
+  let got;
+  reg20.listen('ready', e => got = e.args[0]);
+  t.is(got, 'R', 'stateful replay dispatched');
+  t.isJSON(log, ['replay','after:1'], 'middleware applies to replays');
+
+  const reg21 = Ev.register({});
+  reg21.listen('go', async e => e.args[0] * 2);
+  reg21.use(async function(status, next)
+  {
+    status.args[0]++;
+    await next();
+    status.args.push('done');
+  });
+  t.async(async function()
+  {
+    const s = await reg21.emitAsync('go', 1);
+    t.is(s.emitted[0].returnValue, 4, 'async middleware before emitAsync()');
+    t.is(s.args[1], 'done', 'async middleware after emitAsync()');
+  });
+}
+
 /**
  * TODO ⇒ tests for:
  * - Using a function for `targets`
  * - The `setupEvent` option
  * - Using an object handler
- * - Stateful events
- * - The `status.process` properties
  * - Any other advanced features
  */
 
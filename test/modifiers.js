@@ -0,0 +1,97 @@
+// Tests for the debounce, throttle, and dedupe listener options
+"use strict";
+
+const plan = 8;
+const t = require('@lumjs/tests').new({module, plan});
+const Ev = require('../lib/index');
+
+// A fake clock so we don't have to wait for real timers.
+const clock =
+{
+  time: 0,
+  nextId: 1,
+  timers: new Map(),
+  now: () => clock.time,
+  setTimeout(fn, ms)
+  {
+    const id = clock.nextId++;
+    clock.timers.set(id, {fn, at: clock.time + ms});
+    return id;
+  },
+  clearTimeout: id => clock.timers.delete(id),
+  tick(ms)
+  {
+    const until = clock.time + ms;
+    let next;
+    while ((next = [...clock.timers].filter(([,tm]) => tm.at <= until)
+      .sort(([,a],[,b]) => a.at - b.at)[0]))
+    {
+      const [id, tm] = next;
+      clock.timers.delete(id);
+      clock.time = tm.at;
+      tm.fn();
+    }
+    clock.time = until;
+  },
+}
+
+const reg = Ev.register({}, {timers: clock});
+
+{ // debounce
+  const got = [];
+  const l = reg.listen('input', e => got.push(e.args[0]), {debounce: 100});
+  t.isa(l.modifiers, Ev.Modifiers, 'listener.modifiers');
+  reg.emit('input', 1);
+  clock.tick(50);
+  reg.emit('input', 2);
+  clock.tick(50);
+  t.is(got.length, 0, 'debounce delays the handler');
+  clock.tick(50);
+  t.isJSON(got, [2], 'debounce calls handler with the last event');
+  reg.remove(l);
+}
+
+{ // throttle
+  const got = [];
+  const l = reg.listen('resize', e => got.push(e.args[0]), {throttle: 100});
+  reg.emit('resize', 1);
+  reg.emit('resize', 2);
+  reg.emit('resize', 3);
+  t.isJSON(got, [1], 'throttle leading call');
+  clock.tick(100);
+  t.isJSON(got, [1,3], 'throttle trailing call');
+  reg.remove(l);
+
+  got.length = 0;
+  reg.listen('scroll', e => got.push(e.args[0]),
+    {throttle: {wait: 100, trailing: false}});
+  reg.emit('scroll', 1);
+  reg.emit('scroll', 2);
+  clock.tick(100);
+  reg.emit('scroll', 3);
+  t.isJSON(got, [1,3], 'throttle without trailing calls');
+}
+
+{ // dedupe
+  const got = [];
+  reg.listen('msg', e => got.push(e.data.id),
+    {dedupe: {key: e => e.data.id, window: 1000}});
+  reg.emit('msg', {id: 'a'});
+  reg.emit('msg', {id: 'a'});
+  reg.emit('msg', {id: 'b'});
+  clock.tick(1000);
+  reg.emit('msg', {id: 'a'});
+  t.isJSON(got, ['a','b','a'], 'dedupe within a time window');
+}
+
+{ // Pending calls discarded on removal
+  let called = false;
+  const l = reg.listen('late', () => called = true, {debounce: 10});
+  reg.emit('late');
+  reg.removeListeners(l);
+  clock.tick(100);
+  t.is(called, false, 'removeListeners() clears timers');
+}
+
+// Finished
+t.done();
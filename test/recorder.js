@@ -0,0 +1,89 @@
+// Tests for the Recorder, and toJSON() methods
+"use strict";
+
+const plan = 16;
+const t = require('@lumjs/tests').new({module, plan});
+const Ev = require('../lib/index');
+
+const READY = Symbol('ready');
+const target = {id: 'tg'};
+const reg1 = Ev.register(target);
+reg1.set(READY, {});
+const rec = reg1.record();
+t.isa(rec, Ev.Recorder, 'record() returns a Recorder');
+
+reg1.emit('save', {id: 1});
+reg1.emit(READY, 'now');
+rec.stop();
+reg1.emit('ignored');
+
+const log = JSON.parse(JSON.stringify(rec));
+t.is(log.entries.length, 2, 'stop() stops recording');
+t.isJSON(log.entries[0].types, ['save'], 'string type in log');
+t.isJSON(log.entries[1].types, [{symbol: 'ready'}], 'symbol type in log');
+t.isJSON(log.entries[0].args, [{id: 1}], 'args in log');
+
+{ // toJSON()
+  const circ = {name: 'loop'};
+  circ.self = circ;
+  let s;
+  reg1.listen('go', e => e.args[0].name);
+  s = reg1.emit('go', circ);
+  const json = JSON.parse(JSON.stringify(s));
+  t.is(json.args[0].self, '[Circular]', 'circular refs in Status#toJSON()');
+  t.is(json.emitted[0].returnValue, 'loop', 'emitted events in Status#toJSON()');
+  t.isJSON(json.emitted[0].listener.eventTypes, ['go'], 
+    'listener summary in Event#toJSON()');
+  t.isJSON(json.emitted[0].target, {id: 'tg'}, 'target in Event#toJSON()');
+}
+
+{ // Cycles through toJSON() methods
+  const reg3 = Ev.register({});
+  reg3.listen('b', e => e);
+  t.is(JSON.parse(JSON.stringify(reg3.emit('b'))).emitted[0].returnValue,
+    '[Circular]', 'event returned by its own handler');
+
+  const tg = {};
+  const reg4 = Ev.register(tg);
+  tg.bus = reg4;
+  reg4.set('up', {stateful: true});
+  t.lives(() => JSON.stringify(reg4.emit('up')),
+    'target with its registry in a plain property');
+}
+
+{ // Replay into another registry
+  const reg2 = Ev.register({});
+  const got = [];
+  reg2.listen('save', e => got.push(e.data.id));
+  reg2.listen(READY, e => got.push(e.args[0]));
+
+  t.async(async function()
+  {
+    const rv = await reg2.replayLog(JSON.stringify(log));
+    t.is(rv.length, 2, 'replayLog() resolves to statuses');
+    t.isJSON(got, [1, 'now'], 'replayLog() emits, matching symbols');
+  });
+}
+
+{ // Emit options, and detach()
+  const ta = {id: 'a'}, tb = {id: 'b'};
+  const reg5 = Ev.register([ta, tb]);
+  const rec5 = reg5.record();
+  reg5.emit({eventTypes: 'ping', target: tb, cancelable: true});
+  t.isJSON(rec5.log.entries[0].targets, [1], 'target saved as an index');
+
+  rec5.detach();
+  t.is(reg5.middleware.length, 0, 'detach() removes the middleware');
+
+  const reg6 = Ev.register([{id: 'a'}, {id: 'b'}]);
+  const seen = [];
+  reg6.listen('ping', e => seen.push([e.target.id, e.cancelable]));
+  t.async(async function()
+  {
+    await reg6.replayLog(JSON.stringify(rec5));
+    t.isJSON(seen, [['b', true]], 'replayLog() uses the saved emit options');
+  });
+}
+
+// Finished
+t.done();
@@ -0,0 +1,60 @@
+// Tests for event streams
+"use strict";
+
+const plan = 9;
+const t = require('@lumjs/tests').new({module, plan});
+const Ev = require('../lib/index');
+
+const reg = Ev.register({});
+
+t.async(async function()
+{
+  const stream = reg.stream('progress', {end: 'done'});
+  t.isa(stream, Ev.Stream, 'stream() returns a Stream');
+
+  reg.emit('progress', 1);
+  reg.emit('progress', 2);
+  setTimeout(() => { reg.emit('progress', 3); reg.emit('done') }, 5);
+
+  const got = [];
+  for await (const event of stream)
+  {
+    got.push(event.args[0]);
+  }
+  t.isJSON(got, [1,2,3], 'buffered and later events consumed');
+  t.is(reg.allListeners.size, 0, 'listeners removed at end of stream');
+
+  const s2 = reg.stream('tick');
+  reg.emit('tick');
+  for await (const event of s2) break;
+  t.is(reg.allListeners.size, 0, 'listener removed on break');
+
+  const s3 = reg.stream('tick', {bufferSize: 2});
+  for (let i = 1; i <= 4; i++) reg.emit('tick', i);
+  t.isJSON(s3.buffer.map(e => e.args[0]), [3,4], "overflow 'dropOldest'");
+  s3.end();
+
+  const s4 = reg.stream('tick', {bufferSize: 1, overflow: 'dropNewest'});
+  reg.emit('tick', 1);
+  reg.emit('tick', 2);
+  t.isJSON(s4.buffer.map(e => e.args[0]), [1], "overflow 'dropNewest'");
+  s4.end();
+
+  const s5 = reg.stream('tick', {bufferSize: 1, overflow: 'error'});
+  reg.emit('tick', 1);
+  reg.emit('tick', 2);
+  await s5.next();
+  await s5.next().then(
+    () => t.fail("overflow 'error'"),
+    () => t.pass("overflow 'error'"));
+
+  const reg2 = Ev.register({});
+  reg2.set('closed', {stateful: true});
+  reg2.emit('closed');
+  const s6 = reg2.stream('tick', {end: 'closed'});
+  t.ok(s6.done, 'replayed stateful end type ends the stream');
+  t.is(reg2.allListeners.size, 0, 'no listeners left after replayed end');
+});
+
+// Finished
+t.done();
@@ -0,0 +1,63 @@
+// Tests for the Tracer
+"use strict";
+
+const plan = 14;
+const t = require('@lumjs/tests').new({module, plan});
+const Ev = require('../lib/index');
+
+// A fake clock; every handler takes as long as its first argument.
+let time = 0;
+const now = () => time;
+const slowCalls = [];
+
+const target = {id: 'tg'};
+const reg = Ev.register(target, {catchErrors: true, tracer:
+{
+  now,
+  slow: 50,
+  onSlow: call => slowCalls.push(call.listener.handler.name),
+}});
+t.isa(reg.tracer, Ev.Tracer, 'tracer option');
+
+function fast(e) { time += e.args[0]; return 'ok' }
+function slow(e) { time += e.args[0] * 10 }
+function fails() { throw new Error('nope') }
+reg.listen('go', fast);
+reg.listen('go', slow);
+reg.listen('boom', fails);
+reg.listen('error', () => {});
+
+reg.emit('go', 10);
+const traces = reg.tracer.ring.traces;
+t.is(traces.length, 1, 'trace written to ring sink');
+const tr = traces[0];
+t.isJSON(tr.types, ['go'], 'trace types');
+t.is(tr.targets[0], target, 'trace targets');
+t.is(tr.calls.length, 2, 'trace calls');
+t.is(tr.calls[0].listener.handler, fast, 'call listener');
+t.is(tr.calls[0].duration, 10, 'call duration');
+t.is(tr.calls[0].returnValue, 'ok', 'call returnValue');
+t.is(tr.duration, 110, 'trace duration');
+t.isJSON(slowCalls, ['slow'], 'slow handler reported');
+
+reg.emit('boom');
+const boom = traces.find(tr => tr.types[0] === 'boom');
+t.is(boom.calls[0].error.message, 'nope', 'call error');
+
+{ // Custom sinks
+  const lines = [];
+  const sinks = Ev.Tracer.sinks;
+  const ring = sinks.ring(2);
+  reg.trace({now, sinks: [ring, sinks.console({logger: {log: l => lines.push(l)}})]});
+  reg.emit('go', 1);
+  reg.emit('go', 1);
+  reg.emit('go', 1);
+  t.is(ring.traces.length, 2, 'ring sink size');
+  t.is(lines[1], '  go @ tg [fast] 1.00ms ⇒ ok', 'console sink');
+}
+
+reg.trace(false);
+t.is(reg.tracer, null, 'trace(false) disables tracing');
+
+// Finished
+t.done();
@@ -0,0 +1,100 @@
+// Tests for the Transport
+"use strict";
+
+const plan = 12;
+const t = require('@lumjs/tests').new({module, plan});
+const Ev = require('../lib/index');
+
+const regA = Ev.register({});
+const regB = Ev.register([{id: 1}, {id: 2}]);
+const chan1 = new MessageChannel();
+const ta = regA.connect(chan1.port1, {to: 'ping ask boom'});
+const tb = regB.connect(chan1.port2, {to: 'ping', from: 'ping ask slow boom'});
+t.isa(ta, Ev.Transport, 'connect() returns a Transport');
+
+// Wait for the next event of a type.
+const next = (reg, type) => reg.waitFor(type);
+
+t.async(async function()
+{
+  const sent = {n: 1};
+  let gotB = next(regB, 'ping');
+  regA.emit('ping', sent);
+  let e = await gotB;
+  t.isJSON(e.data, sent, 'event forwarded');
+  t.ok(e.data !== sent, 'args are cloned');
+
+  let countA = 0;
+  regA.listen('ping', () => countA++);
+  const gotA = next(regA, 'ping');
+  regB.emit('ping', 2); // Two targets, but only sent once.
+  await gotA;
+  await new Promise(r => setTimeout(r, 20));
+  t.is(countA, 1, 'sent once per emit, and not echoed back');
+
+  const errs = [];
+  regA.listen('error', e => errs.push(e.data.error.name));
+  regA.emit('ping', () => 'not cloneable');
+  t.isJSON([countA, errs], [2, ['DataCloneError']], 
+    'post errors added to the local status');
+
+  regB.listen('boom', () => { throw new Error('handler boom') });
+  const gotErr = next(regB, 'error');
+  regA.emit('boom');
+  e = await gotErr;
+  t.is(e.data.error.message, 'handler boom', 
+    'errors from received emits use errorType events');
+
+  regB.listen('ask', async e => e.args[0] * 2);
+  const res = await ta.request('ask', 21);
+  t.isJSON(res.returnValues, [42, 42], 'request() response');
+
+  await ta.request('nope').then(
+    () => t.fail('request() for types not accepted'),
+    err => t.ok(/not accepted/.test(err.message), 
+      'request() for types not accepted'));
+
+  // Reconnect with a new channel.
+  regB.listen('slow', () => new Promise(r => setTimeout(r, 50)));
+  const pending = ta.request('slow');
+  const chan2 = new MessageChannel();
+  ta.connect(chan2.port1);
+  tb.connect(chan2.port2);
+  await pending.then(
+    () => t.fail('pending requests rejected on reconnect'),
+    err => t.is(err.message, 'Transport disconnected', 
+      'pending requests rejected on reconnect'));
+
+  gotB = next(regB, 'ping');
+  regA.emit('ping', 'again');
+  e = await gotB;
+  t.is(e.args[0], 'again', 'events forwarded after reconnect');
+
+  const fake = [];
+  const regC = Ev.register({}, {timers: 
+  {
+    setTimeout: (fn, ms) => fake.push([fn, ms]),
+    clearTimeout() {},
+  }});
+  const chan3 = new MessageChannel();
+  const tc = regC.connect(chan3.port1, {timeout: 1000});
+  const timed = tc.request('nobody');
+  fake[0][0]();
+  await timed.then(
+    () => t.fail('request() timeout uses the timers option'),
+    err => t.isJSON([fake[0][1], /Timed out/.test(err.message)], [1000, true],
+      'request() timeout uses the timers option'));
+  tc.close();
+
+  ta.close();
+  tb.close();
+  t.is(regA.getListeners('ask').length, 0, 'close() removes listener');
+  for (const chan of [chan1, chan2, chan3])
+  {
+    chan.port1.close();
+    chan.port2.close();
+  }
+});
+
+// Finished
+t.done();